@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * MRR Calculator - Command Line
+ *
+ * Runs the same parsing, calculations and Excel export as the page, without a
+ * browser. Requires the xlsx package (npm install xlsx).
+ *
+ * Usage: node bin/mrr-calc.js <file or folder>... [options]
+ *
+ *   --out <path>         Output file, or a folder when several inputs are given
+ *                        (default: <input>_metrics.xlsx next to each input, or
+ *                        stdout for --format json)
+ *   --format xlsx|json   Output format (default: from --out, else xlsx)
+ *   --layout grid|transactions|stripe
+ *                        Input layout, as on the upload card (default: grid)
+ *   --sheet <name>       Sheet holding the MRR grid (default: the sheet of a
+ *                        defined name such as MRR_Data, else the first sheet
+ *                        with a row of month dates)
+ *   --header-row <n>     Row number of the month headers on that sheet
+ *   --name-column <col>  Column letter of the customer names (e.g. B)
+ *   --financials-sheet <name>
+ *                        Only read financial inputs from this sheet, or
+ *                        "none" (default: any other sheet that has them)
+ *   --net-loss <csv>     Month column plus a net loss column, applied to every input
+ *   --financials <csv>   Month column plus columns headed Net Loss, S&M Spend,
+ *                        Gross Margin and Cash, applied to every input (grid
+ *                        files may also carry rows with those labels, or a
+ *                        second sheet laid out like this file)
+ *   --gross-margin <pct> Gross margin for every month without its own figure
+ *   --grace <months>     Churn grace period: zero-revenue gaps of up to this
+ *                        many months, followed by renewed revenue, are a pause
+ *                        instead of churn and reactivation (default: 0)
+ *   --lookback <months>  Lookback for New ARR, growth, TTM NDR/GDR and
+ *                        customer retention: 3, 6, 12 or 24 (default: 12)
+ *   --cohort-window <months>
+ *                        Window for cohort NDR/GDR: 3, 6, 12 or 24 (default: 12)
+ *   --headline-ndr ttm|cohort
+ *                        NDR method listed first (default: ttm)
+ *   --arr-method mrr|quarter
+ *                        ARR as month-end MRR x 12, or trailing quarter MRR x 4
+ *                        (default: mrr)
+ *   --currency <code>    Reporting currency for files with a Currency column
+ *   --fx <csv>           Month column plus one rate column per billing currency
+ *   --fx-method actual|constant
+ *   --segment <column>   Add one sheet per value of this segment column
+ *   --period month|quarter|year
+ *                        Report by month (default), quarter or fiscal year
+ *   --fy-start <month>   First month of the fiscal year, 1-12 (default: 1)
+ *   --formulas           Write live Excel formulas for derived rows (monthly only)
+ *   --fix <types>        Comma-separated data check fixes for grid files:
+ *                        duplicates, negatives, formatted, spikes,
+ *                        headerDuplicates, headerGaps, periodic (or "all");
+ *                        type=choice picks another fix, e.g.
+ *                        headerDuplicates=last or periodic=divide
+ *   --strict             Skip any grid file with data check issues instead of
+ *                        listing them and continuing
+ *
+ * Exits with status 1 if any input fails; the other inputs are still processed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { calculateMetrics } = require('../js/calculations.js');
+const { convertCustomerData } = require('../js/currency.js');
+const { locateGrid, parseGridRows, parseMonthColumns, pickGridSheet } = require('../js/parser.js');
+const { splitFinancialRows, financialColumns, financialSheet, timelineFinancials, mergeFinancials } = require('../js/financials.js');
+const { VALIDATION_CHECKS, validateGridRows } = require('../js/validation.js');
+const { parseTransactionRows, pivotTransactions } = require('../js/transactions.js');
+const { parseStripeExport } = require('../js/stripe.js');
+const { PERIOD_TYPES, rollupMetrics } = require('../js/periods.js');
+const { buildWorkbook, workbookBytes, metricsToJSON } = require('../js/export.js');
+const { METRIC_DEFINITIONS } = require('../js/definitions.js');
+
+const INPUT_EXTENSIONS = ['.xlsx', '.xls', '.csv', '.json'];
+const FLAGS = ['formulas', 'strict'];
+
+// Command-line flags for the metric definitions
+const DEFINITION_FLAGS = {
+    lookback: 'lookbackMonths',
+    'cohort-window': 'cohortWindowMonths',
+    'headline-ndr': 'headlineNDR',
+    'arr-method': 'arrMethod',
+};
+
+// Options that take a value; anything else starting with -- is rejected
+const VALUE_FLAGS = [
+    'out', 'format', 'layout', 'sheet', 'header-row', 'name-column', 'financials-sheet', 'net-loss',
+    'financials', 'gross-margin', 'grace', ...Object.keys(DEFINITION_FLAGS), 'currency', 'fx', 'fx-method',
+    'segment', 'period', 'fy-start', 'fix',
+];
+
+function parseArgs(argv) {
+    const args = { inputs: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg.startsWith('--')) {
+            const key = arg.slice(2);
+            if (FLAGS.includes(key)) {
+                args.options[key] = true;
+            } else if (!VALUE_FLAGS.includes(key)) {
+                throw new Error(`Unknown option ${arg}\n\n${usage()}`);
+            } else {
+                if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+                args.options[key] = argv[++i];
+            }
+        } else {
+            args.inputs.push(arg);
+        }
+    }
+    return args;
+}
+
+function usage() {
+    const src = fs.readFileSync(__filename, 'utf8');
+    const doc = src.slice(src.indexOf('Usage:'), src.indexOf('*/'));
+    return doc.split('\n').map(line => line.replace(/^ \* ?/, '')).join('\n').trim();
+}
+
+// Expand folders into the spreadsheet files they contain (not recursive)
+function expandInputs(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input).sort().forEach(name => {
+                if (name.startsWith('~$') || name.startsWith('.')) return;
+                if (INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase())) files.push(path.join(input, name));
+            });
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+function readWorkbook(file, options) {
+    const ext = path.extname(file).toLowerCase();
+    return ext === '.csv'
+        ? XLSX.read(fs.readFileSync(file, 'utf8'), Object.assign({ type: 'string' }, options))
+        : XLSX.read(fs.readFileSync(file), Object.assign({ type: 'buffer' }, options));
+}
+
+// Every sheet as { name, rows, firstRow }, read the same way the page reads uploads
+function readSheets(workbook, defval) {
+    return workbook.SheetNames.map(name => {
+        const sheet = workbook.Sheets[name];
+        return {
+            name,
+            rows: XLSX.utils.sheet_to_json(sheet, { header: 1, defval }),
+            firstRow: sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0,
+        };
+    });
+}
+
+function readRows(file, options) {
+    return readSheets(readWorkbook(file, options), options.defval)[0].rows;
+}
+
+// Column letter (A, B... AA) to a zero-based index
+function columnIndex(letters) {
+    if (!/^[A-Z]+$/i.test(letters)) throw new Error(`--name-column must be a column letter, not "${letters}"`);
+    return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// The grid sheet and layout: named on the command line, else detected like the page
+function gridSheet(workbook, sheets, opts) {
+    let index;
+    let layout;
+    if (opts.sheet) {
+        index = sheets.findIndex(s => s.name === opts.sheet);
+        if (index === -1) throw new Error(`No sheet "${opts.sheet}" (found: ${workbook.SheetNames.join(', ')})`);
+        layout = {};
+    } else {
+        ({ index, layout } = pickGridSheet(sheets, workbook.Workbook && workbook.Workbook.Names));
+    }
+    layout = Object.assign({}, layout);
+    if (opts['header-row']) {
+        const row = parseInt(opts['header-row'], 10);
+        if (!(row >= 1)) throw new Error('--header-row must be a row number from 1');
+        layout.headerRow = row - 1 - sheets[index].firstRow;
+    }
+    if (opts['name-column']) layout.nameCol = columnIndex(opts['name-column']);
+    return { index, layout };
+}
+
+// Data check fixes named on the command line, as parseGridRows options
+function gridFixes(list) {
+    const fixes = {};
+    if (!list) return fixes;
+    const fixable = Object.keys(VALIDATION_CHECKS).filter(type => VALIDATION_CHECKS[type].fix);
+    const types = list === 'all' ? fixable : list.split(',').map(t => t.trim());
+    types.forEach(entry => {
+        const [type, choice] = entry.split('=').map(s => s.trim());
+        if (!fixable.includes(type)) throw new Error(`Unknown fix "${type}" (choose from ${fixable.join(', ')})`);
+        const check = VALIDATION_CHECKS[type];
+        const options = [check.fixOption, ...(check.alternatives || []).map(a => a.fixOption)];
+        if (choice === undefined) {
+            fixes[type] = check.fixOption;
+            return;
+        }
+        if (!options.some(o => String(o) === choice)) throw new Error(`Unknown choice "${choice}" for ${type} (choose from ${options.join(', ')})`);
+        fixes[type] = options.find(o => String(o) === choice);
+    });
+    return fixes;
+}
+
+function parseInput(file, opts) {
+    const layout = opts.layout;
+    const ext = path.extname(file).toLowerCase();
+    if (layout === 'stripe') {
+        const source = ext === '.json'
+            ? JSON.parse(fs.readFileSync(file, 'utf8'))
+            : readRows(file, { raw: true, defval: '' });
+        return Object.assign(parseStripeExport(source), { dimensions: [] });
+    }
+    if (layout === 'transactions') {
+        const { lines } = parseTransactionRows(readRows(file, { cellDates: true, defval: '' }));
+        return Object.assign(pivotTransactions(lines), { dimensions: [] });
+    }
+    if (layout && layout !== 'grid') throw new Error(`Unknown layout "${layout}"`);
+
+    const workbook = readWorkbook(file, { cellDates: true });
+    const sheets = readSheets(workbook, 0);
+    const { index, layout: grid } = gridSheet(workbook, sheets, opts);
+
+    const { rows, financials } = splitFinancialRows(sheets[index].rows, grid);
+    const choice = opts['financials-sheet'];
+    if (choice && choice !== 'none' && !workbook.SheetNames.includes(choice)) {
+        throw new Error(`No sheet "${choice}" for --financials-sheet (found: ${workbook.SheetNames.join(', ')})`);
+    }
+
+    const fixes = gridFixes(opts.fix);
+    const issues = validateGridRows(rows, grid);
+    issues.forEach(issue => {
+        const alternative = (issue.alternatives || []).find(a => a.fixOption === fixes[issue.type]);
+        const handling = fixes[issue.type] ? `fixed: ${alternative ? alternative.fix : issue.fix}` : issue.ignore;
+        console.error(`  ! ${path.basename(file)}: ${issue.title} (${issue.items.length}, e.g. ${issue.items[0].ref}) - ${handling}`);
+    });
+    if (opts.strict && issues.length > 0) throw new Error('Data check issues found (--strict)');
+    const parsed = parseGridRows(rows, fixes, grid);
+
+    // Financial rows in the grid, then the other sheets laid out like --financials
+    // or as a grid of months with labelled rows, on the months the fixes give
+    const others = readSheets(workbook, '')
+        .filter((sheet, i) => i !== index && choice !== 'none' && (!choice || sheet.name === choice))
+        .map(sheet => financialSheet(sheet.rows, parsed.dates));
+    const { dates } = locateGrid(rows, grid);
+    return Object.assign(parsed, { financials: mergeFinancials(timelineFinancials(financials, dates, fixes), ...others) });
+}
+
+function processFile(file, opts) {
+    const { customers: sourceCustomers, dates, dimensions, financials: fileFinancials } = parseInput(file, opts);
+    if (sourceCustomers.length === 0) throw new Error('No customer data with revenue found in the file.');
+
+    // Files named on the command line take precedence over figures in the input itself
+    let netLoss = null;
+    if (opts['net-loss']) {
+        const { columns } = parseMonthColumns(readRows(opts['net-loss'], { cellDates: true, defval: '' }), dates);
+        const first = Object.keys(columns)[0];
+        if (first) netLoss = { netLoss: columns[first] };
+    }
+    let shared = null;
+    if (opts.financials) {
+        const parsed = financialColumns(readRows(opts.financials, { cellDates: true, defval: '' }), dates);
+        if (Object.keys(parsed.financials).length === 0) throw new Error(`No recognised columns in ${opts.financials}`);
+        shared = parsed.financials;
+    }
+    const financials = mergeFinancials(netLoss, shared, fileFinancials);
+    if (opts.grossMargin !== undefined) {
+        // Merged gross margin is in fractions; --gross-margin is a percent
+        financials.grossMargin = (financials.grossMargin || dates.map(() => null)).map(v => v !== null ? v : opts.grossMargin / 100);
+    }
+
+    // Convert every customer into the reporting currency, defaulting like the page
+    const billing = Array.from(new Set(sourceCustomers.map(c => c.currency).filter(Boolean))).sort();
+    let currency = opts.currency ? opts.currency.toUpperCase() : null;
+    let customers = sourceCustomers;
+    if (billing.length > 0) {
+        if (!currency) currency = billing.length === 1 && billing[0] !== 'USD' ? billing[0] : 'USD';
+        const fxRates = {};
+        if (opts.fx) {
+            const { columns } = parseMonthColumns(readRows(opts.fx, { cellDates: true, defval: '' }), dates);
+            Object.keys(columns).forEach(header => { fxRates[header.toUpperCase()] = columns[header]; });
+        }
+        customers = convertCustomerData(sourceCustomers, dates, fxRates, {
+            reportingCurrency: currency,
+            method: opts['fx-method'] || 'actual',
+        });
+    }
+    currency = currency || 'USD';
+
+    const options = Object.assign({ graceMonths: Math.max(0, parseInt(opts.grace, 10) || 0) }, opts.definitions);
+    const rollup = m => rollupMetrics(m, { period: opts.period, fyStartMonth: opts.fyStartMonth });
+    const metrics = rollup(calculateMetrics(customers, dates, financials, options));
+    const inputs = { sourceCustomers, customers, currency, dates, dimensions, financials, options };
+
+    if (opts.format === 'json') return { json: Object.assign({ file: path.basename(file) }, metricsToJSON(metrics, inputs)) };
+
+    const dimension = opts.segment || '';
+    if (dimension && !dimensions.includes(dimension)) {
+        throw new Error(`No segment column "${dimension}" (found: ${dimensions.join(', ') || 'none'})`);
+    }
+    const segments = dimension
+        ? Array.from(new Set(customers.map(c => c.attributes[dimension]))).sort().map(value => ({
+            value,
+            metrics: rollup(calculateMetrics(customers.filter(c => c.attributes[dimension] === value), dates, null, options)),
+        }))
+        : [];
+    return { xlsx: workbookBytes(buildWorkbook(metrics, inputs, { formulas: opts.formulas, dimension, segments })) };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args.inputs.length === 0) {
+        console.log(usage());
+        return args.help ? 0 : 1;
+    }
+
+    const opts = args.options;
+    const files = expandInputs(args.inputs);
+    const outIsDir = opts.out && (files.length > 1 || (fs.existsSync(opts.out) && fs.statSync(opts.out).isDirectory()));
+    if (!opts.format) opts.format = opts.out && !outIsDir && path.extname(opts.out).toLowerCase() === '.json' ? 'json' : 'xlsx';
+    if (!['xlsx', 'json'].includes(opts.format)) throw new Error(`Unknown format "${opts.format}"`);
+    if (opts.period && !PERIOD_TYPES[opts.period]) {
+        throw new Error(`Unknown period "${opts.period}" (choose from ${Object.keys(PERIOD_TYPES).join(', ')})`);
+    }
+    if (opts['fy-start']) {
+        opts.fyStartMonth = parseInt(opts['fy-start'], 10);
+        if (!(opts.fyStartMonth >= 1 && opts.fyStartMonth <= 12)) throw new Error('--fy-start must be a month number from 1 to 12');
+    }
+    if (opts['gross-margin']) {
+        opts.grossMargin = parseFloat(opts['gross-margin']);
+        if (!(opts.grossMargin >= 0 && opts.grossMargin <= 100)) throw new Error('--gross-margin must be a percentage from 0 to 100');
+    }
+    // Metric definitions, checked here so a typo is not silently read as the default
+    opts.definitions = {};
+    Object.entries(DEFINITION_FLAGS).forEach(([flag, key]) => {
+        if (opts[flag] === undefined) return;
+        const choices = Object.keys(METRIC_DEFINITIONS[key].choices);
+        if (!choices.includes(opts[flag])) throw new Error(`--${flag} must be one of ${choices.join(', ')}`);
+        opts.definitions[key] = opts[flag];
+    });
+    if (outIsDir) fs.mkdirSync(opts.out, { recursive: true });
+
+    const results = [];
+    let failed = 0;
+    files.forEach(file => {
+        const base = path.basename(file, path.extname(file));
+        try {
+            const result = processFile(file, opts);
+            if (opts.format === 'json') {
+                if (outIsDir) {
+                    fs.writeFileSync(path.join(opts.out, base + '.json'), JSON.stringify(result.json, null, 2));
+                } else {
+                    results.push(result.json);
+                }
+            } else {
+                const target = outIsDir ? path.join(opts.out, base + '.xlsx')
+                    : opts.out || path.join(path.dirname(file), base + '_metrics.xlsx');
+                fs.writeFileSync(target, result.xlsx);
+                console.error(`✓ ${file} -> ${target}`);
+            }
+        } catch (err) {
+            failed++;
+            console.error(`✗ ${file}: ${err.message}`);
+        }
+    });
+
+    if (results.length > 0) {
+        const json = JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+        if (opts.out) fs.writeFileSync(opts.out, json);
+        else process.stdout.write(json + '\n');
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
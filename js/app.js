@@ -9,20 +9,179 @@
     // State
     let parsedCustomerData = null;
     let parsedDates = null;
+    let parsedDimensions = [];
+    let fileName = '';
+    let uploadedWorkbook = null;
+    let gridLayout = {};
+    let gridRows = null;
+    let gridFinancials = null;
+    let validationFixes = {};
+    let workbookFinancials = null;
     let computedMetrics = null;
+    let displayedMetrics = null;
+    let calculationInputs = null;
+    let segmentMetricsCache = new Map();
+    let renderedMetrics = null;
+    let rollupCache = new WeakMap();
+    let forecast = null;
+    let forecastOverrides = {};
+    let comparisonEntries = [];
+    let comparisonChart = null;
+    let restatementDiff = null;
+    let currentAnalysisId = null;
+    let customerList = [];
+    let customerSort = { key: 'currentMRR', dir: -1 };
+    let customerDetailChart = null;
+    let reportingCurrency = 'USD';
+    let benchmarkSet = DEFAULT_BENCHMARKS;
     let chartInstances = [];
 
+    // Line colours for the datasets on the comparison chart, in the order they are added
+    const COMPARE_COLORS = ['#1b4332', '#e09f3e', '#4361ee', '#c1121f', '#52b788', '#7b2cbf', '#6c757d', '#f4a261'];
+
+    // Columns of the customer list; fmt 'month' is a month index into the dates
+    const CUSTOMER_COLUMNS = [
+        { key: 'name', label: 'Customer' },
+        { key: 'status', label: 'Status' },
+        { key: 'first', label: 'First Revenue', fmt: 'month' },
+        { key: 'last', label: 'Last Revenue', fmt: 'month' },
+        { key: 'tenure', label: 'Tenure (mo)', fmt: 'number' },
+        { key: 'currentMRR', label: 'Current MRR', fmt: 'currency' },
+        { key: 'peakMRR', label: 'Peak MRR', fmt: 'currency' },
+        { key: 'lifetimeRevenue', label: 'Lifetime Revenue', fmt: 'currency' },
+        { key: 'upgrades', label: 'Upgrades', fmt: 'number' },
+        { key: 'downgrades', label: 'Downgrades', fmt: 'number' },
+    ];
+
+    // Bar colours for each movement on the customer detail chart
+    const MOVEMENT_COLORS = {
+        new: '#40916c',
+        reactivation: '#74c69d',
+        upgrade: '#52b788',
+        downgrade: '#e09f3e',
+        churn: '#c1121f',
+        flat: '#b7e4c7',
+        crossSell: '#2d6a4f',
+    };
+
+    // Movement types listed when drilling into each kind of table cell
+    const DRILL_TYPES = {
+        begin: ['upgrade', 'downgrade', 'churn', 'flat'],
+        end: ['new', 'reactivation', 'upgrade', 'downgrade', 'flat'],
+        new: ['new'],
+        reactivation: ['reactivation'],
+        crossSell: ['crossSell'],
+        upgrade: ['upgrade'],
+        downgrade: ['downgrade'],
+        churn: ['churn'],
+    };
+
+    const MOVEMENT_LABELS = {
+        new: 'New',
+        reactivation: 'Reactivation',
+        crossSell: 'Cross-sell',
+        upgrade: 'Upgrade',
+        downgrade: 'Downgrade',
+        churn: 'Churn',
+        flat: 'Retained',
+    };
+
     // DOM refs
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('file-input');
     const fileInfo = document.getElementById('file-info');
+    const importMode = document.getElementById('import-mode');
+    const previewSection = document.getElementById('preview-section');
+    const previewCaption = document.getElementById('preview-caption');
+    const validationSection = document.getElementById('validation-section');
+    const validationSummary = document.getElementById('validation-summary');
+    const validationIssues = document.getElementById('validation-issues');
+    const validationAbort = document.getElementById('validation-abort');
+    const sheetSection = document.getElementById('sheet-section');
+    const sheetSelect = document.getElementById('sheet-select');
+    const headerRowSelect = document.getElementById('header-row-select');
+    const nameColumnSelect = document.getElementById('name-column-select');
+    const financialSheetSelect = document.getElementById('financial-sheet-select');
+    const sheetInfo = document.getElementById('sheet-info');
+    const sheetPreviewTable = document.getElementById('sheet-preview-table');
     const uploadError = document.getElementById('upload-error');
     const calculateBtn = document.getElementById('calculate-btn');
     const resultsSection = document.getElementById('results-section');
-    const netLossSection = document.getElementById('net-loss-section');
-    const netLossInputs = document.getElementById('net-loss-inputs');
+    const financialSection = document.getElementById('financial-section');
+    const financialPasteSeries = document.getElementById('financial-paste-series');
+    const financialPaste = document.getElementById('financial-paste');
+    const financialPasteApply = document.getElementById('financial-paste-apply');
+    const financialFileInput = document.getElementById('financial-file-input');
+    const financialInfo = document.getElementById('financial-info');
+    const grossMarginConstant = document.getElementById('gross-margin-constant');
+    const graceSection = document.getElementById('grace-section');
+    const graceMonthsInput = document.getElementById('grace-months');
+    const definitionsSection = document.getElementById('definitions-section');
+    const definitionInputs = document.getElementById('definition-inputs');
+    const definitionsCaption = document.getElementById('definitions-caption');
+    const benchmarkStageSelect = document.getElementById('benchmark-stage');
+    const benchmarkShow = document.getElementById('benchmark-show');
+    const benchmarkDownload = document.getElementById('benchmark-download');
+    const benchmarkReset = document.getElementById('benchmark-reset');
+    const benchmarkFileInput = document.getElementById('benchmark-file-input');
+    const benchmarkJson = document.getElementById('benchmark-json');
+    const benchmarkApply = document.getElementById('benchmark-apply');
+    const benchmarkCaption = document.getElementById('benchmark-caption');
+    const currencySection = document.getElementById('currency-section');
+    const reportingCurrencySelect = document.getElementById('reporting-currency');
+    const fxMethodSelect = document.getElementById('fx-method');
+    const fxConstantMonth = document.getElementById('fx-constant-month');
+    const fxFileInput = document.getElementById('fx-file-input');
+    const fxFileInfo = document.getElementById('fx-file-info');
+    const fxTableWrapper = document.getElementById('fx-table-wrapper');
     const exportBtn = document.getElementById('export-btn');
+    const exportFormulas = document.getElementById('export-formulas');
+    const periodType = document.getElementById('period-type');
+    const fyStartMonth = document.getElementById('fy-start-month');
+    const forecastHorizon = document.getElementById('forecast-horizon');
+    const forecastScenario = document.getElementById('forecast-scenario');
+    const forecastLookback = document.getElementById('forecast-lookback');
+    const forecastInputs = document.querySelectorAll('[data-assumption]');
+    const forecastReset = document.getElementById('forecast-reset');
+    const forecastCharts = document.getElementById('forecast-charts');
+    const compareLabel = document.getElementById('compare-label');
+    const compareAdd = document.getElementById('compare-add');
+    const compareList = document.getElementById('compare-list');
+    const compareView = document.getElementById('compare-view');
+    const compareMetric = document.getElementById('compare-metric');
+    const compareWarning = document.getElementById('compare-warning');
+    const compareAlign = document.getElementById('compare-align');
+    const diffFileInput = document.getElementById('diff-file-input');
+    const diffView = document.getElementById('diff-view');
+    const diffSummary = document.getElementById('diff-summary');
+    const diffExportBtn = document.getElementById('diff-export-btn');
+    const sessionName = document.getElementById('session-name');
+    const sessionCompany = document.getElementById('session-company');
+    const sessionFileInput = document.getElementById('session-file-input');
+    const sessionSave = document.getElementById('session-save');
+    const sessionInfo = document.getElementById('session-info');
+    const sessionTable = document.getElementById('session-table');
     const efficiencySection = document.getElementById('efficiency-section');
+    const unitEconomicsSection = document.getElementById('unit-economics-section');
+    const cohortView = document.getElementById('cohort-view');
+    const productSection = document.getElementById('product-section');
+    const productSelect = document.getElementById('product-select');
+    const segmentSection = document.getElementById('segment-section');
+    const segmentDimension = document.getElementById('segment-dimension');
+    const segmentValue = document.getElementById('segment-value');
+    const segmentBreakdown = document.getElementById('segment-breakdown');
+    const segmentCaption = document.getElementById('segment-caption');
+    const drillPanel = document.getElementById('drill-panel');
+    const drillTitle = document.getElementById('drill-title');
+    const drillSummary = document.getElementById('drill-summary');
+    const drillClose = document.getElementById('drill-close');
+    const resultsTabs = document.querySelectorAll('.results-tab');
+    const customerSearch = document.getElementById('customer-search');
+    const customerStatus = document.getElementById('customer-status');
+    const customerListTable = document.getElementById('customer-list-table');
+    const customerListCaption = document.getElementById('customer-list-caption');
+    const customerDetailSection = document.getElementById('customer-detail-section');
+    const customerDetailClose = document.getElementById('customer-detail-close');
 
     // ===== FILE UPLOAD =====
 
@@ -42,16 +201,161 @@
     });
 
     calculateBtn.addEventListener('click', runCalculations);
+    validationIssues.addEventListener('change', e => {
+        if (!e.target.dataset.type) return;
+        const type = e.target.dataset.type;
+        const check = VALIDATION_CHECKS[type];
+        const value = e.target.value;
+        if (value === 'fix') validationFixes[type] = check.fixOption;
+        else if (value.startsWith('alt-')) validationFixes[type] = check.alternatives[parseInt(value.slice(4), 10)].fixOption;
+        else validationFixes[type] = false;
+        applyGridFixes();
+    });
+    validationAbort.addEventListener('click', abortUpload);
+    sheetSelect.addEventListener('change', () => {
+        fillHeaderRowOptions(sheetRows(uploadedWorkbook.SheetNames[parseInt(sheetSelect.value, 10)], 0));
+        nameColumnSelect.value = '';
+        sheetInfo.textContent = '';
+        readGridSheet();
+    });
+    headerRowSelect.addEventListener('change', () => {
+        nameColumnSelect.value = '';
+        readGridSheet();
+    });
+    [nameColumnSelect, financialSheetSelect].forEach(el => el.addEventListener('change', readGridSheet));
+    reportingCurrencySelect.addEventListener('change', buildFxTable);
+    fxMethodSelect.addEventListener('change', () => {
+        fxConstantMonth.disabled = fxMethodSelect.value !== 'constant';
+    });
+    fxFileInput.addEventListener('change', () => {
+        if (fxFileInput.files.length) handleFxFile(fxFileInput.files[0]);
+        fxFileInput.value = '';
+    });
+    financialPasteApply.addEventListener('click', applyFinancialPaste);
+    financialFileInput.addEventListener('change', () => {
+        if (financialFileInput.files.length) handleFinancialFile(financialFileInput.files[0]);
+        financialFileInput.value = '';
+    });
     exportBtn.addEventListener('click', exportResults);
+    cohortView.addEventListener('change', () => {
+        if (renderedMetrics) renderCohortTable(renderedMetrics);
+    });
+    productSelect.addEventListener('change', () => {
+        if (renderedMetrics) renderProductBridgeTable(renderedMetrics, periodLabels(renderedMetrics));
+    });
+    periodType.addEventListener('change', changePeriod);
+    [benchmarkStageSelect, benchmarkShow].forEach(el => el.addEventListener('change', refreshBenchmarks));
+    benchmarkDownload.addEventListener('click', () => {
+        downloadFile(new Blob([benchmarksToJSON(benchmarkSet)], { type: 'application/json' }), 'MRR_Benchmarks.json');
+    });
+    benchmarkReset.addEventListener('click', () => {
+        setBenchmarkSet(DEFAULT_BENCHMARKS, benchmarkStageSelect.value);
+        refreshBenchmarks();
+    });
+    benchmarkFileInput.addEventListener('change', () => {
+        if (benchmarkFileInput.files.length) handleBenchmarkFile(benchmarkFileInput.files[0]);
+        benchmarkFileInput.value = '';
+    });
+    benchmarkApply.addEventListener('click', () => {
+        try {
+            setBenchmarkSet(benchmarksFromJSON(benchmarkJson.value), benchmarkStageSelect.value);
+            hideError();
+            refreshBenchmarks();
+        } catch (err) {
+            showError('Error in the edited benchmarks: ' + err.message);
+        }
+    });
+    fyStartMonth.addEventListener('change', changePeriod);
+    [forecastHorizon, forecastScenario, forecastLookback, forecastCharts].forEach(el => {
+        el.addEventListener('change', refreshForecast);
+    });
+    forecastInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            const val = parseFloat(input.value);
+            if (isNaN(val)) {
+                delete forecastOverrides[input.dataset.assumption];
+            } else {
+                forecastOverrides[input.dataset.assumption] = input.dataset.assumption === 'newMRR' ? val : val / 100;
+            }
+            refreshForecast();
+        });
+    });
+    forecastReset.addEventListener('click', () => {
+        forecastOverrides = {};
+        refreshForecast();
+    });
+    compareAdd.addEventListener('click', addComparisonEntry);
+    compareList.addEventListener('click', e => {
+        const btn = e.target.closest('[data-remove]');
+        if (!btn) return;
+        comparisonEntries.splice(parseInt(btn.dataset.remove, 10), 1);
+        renderComparison();
+    });
+    compareMetric.addEventListener('change', renderComparison);
+    diffFileInput.addEventListener('change', () => {
+        if (diffFileInput.files.length) handleDiffFile(diffFileInput.files[0]);
+        diffFileInput.value = '';
+    });
+    sessionSave.addEventListener('click', saveCurrentAnalysis);
+    sessionFileInput.addEventListener('change', () => {
+        if (sessionFileInput.files.length) importSessionFile(sessionFileInput.files[0]);
+        sessionFileInput.value = '';
+    });
+    sessionTable.addEventListener('click', e => {
+        const btn = e.target.closest('[data-action]');
+        if (btn) handleSessionAction(btn.dataset.action, btn.dataset.id);
+    });
+    diffExportBtn.addEventListener('click', () => {
+        if (restatementDiff) downloadWorkbook(buildDiffWorkbook(restatementDiff, reportingCurrency), 'MRR_Restatements.xlsx');
+    });
+    compareAlign.addEventListener('change', renderComparison);
+    segmentDimension.addEventListener('change', () => {
+        populateSegmentValues();
+        showSelectedSegment();
+    });
+    segmentValue.addEventListener('change', showSelectedSegment);
+    resultsTabs.forEach(tab => tab.addEventListener('click', () => showResultsView(tab.dataset.view)));
+    customerSearch.addEventListener('input', renderCustomerList);
+    customerStatus.addEventListener('change', renderCustomerList);
+    customerListTable.addEventListener('click', e => {
+        const th = e.target.closest('th[data-sort]');
+        if (th) {
+            const key = th.dataset.sort;
+            customerSort = { key, dir: customerSort.key === key ? -customerSort.dir : (key === 'name' || key === 'status' ? 1 : -1) };
+            renderCustomerList();
+            return;
+        }
+        const tr = e.target.closest('tr[data-customer]');
+        if (tr) showCustomerDetail(parseInt(tr.dataset.customer, 10));
+    });
+    customerDetailClose.addEventListener('click', () => customerDetailSection.classList.add('hidden'));
+    drillClose.addEventListener('click', closeDrillPanel);
+    drillPanel.addEventListener('click', e => {
+        if (e.target === drillPanel) closeDrillPanel();
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') closeDrillPanel();
+    });
+
+    buildDefinitionInputs();
+    setBenchmarkSet(DEFAULT_BENCHMARKS);
+    refreshSessionList();
 
     function handleFile(file) {
         const ext = file.name.split('.').pop().toLowerCase();
-        if (!['xlsx', 'xls', 'csv'].includes(ext)) {
+        if (importMode.value === 'stripe') {
+            if (!['json', 'csv'].includes(ext)) {
+                showError('Please upload a Stripe .json or .csv export.');
+                return;
+            }
+        } else if (!['xlsx', 'xls', 'csv'].includes(ext)) {
             showError('Please upload an .xlsx, .xls, or .csv file.');
             return;
         }
 
         hideError();
+        fileName = file.name.replace(/\.[^.]+$/, '');
+        currentAnalysisId = null;
         fileInfo.textContent = `Loaded: ${file.name} (${(file.size / 1024).toFixed(1)} KB)`;
         fileInfo.classList.remove('hidden');
 
@@ -63,7 +367,7 @@
                 showError('Error parsing file: ' + err.message);
             }
         };
-        if (ext === 'csv') {
+        if (ext === 'csv' || ext === 'json') {
             reader.readAsText(file);
         } else {
             reader.readAsArrayBuffer(file);
@@ -71,6 +375,18 @@
     }
 
     function parseFileData(data, ext) {
+        previewSection.classList.add('hidden');
+        validationSection.classList.add('hidden');
+        workbookFinancials = null;
+
+        sheetSection.classList.add('hidden');
+        uploadedWorkbook = null;
+
+        if (importMode.value === 'stripe') {
+            parseStripeData(data, ext);
+            return;
+        }
+
         let workbook;
         if (ext === 'csv') {
             workbook = XLSX.read(data, { type: 'string', cellDates: true });
@@ -78,272 +394,1682 @@
             workbook = XLSX.read(data, { type: 'array', cellDates: true });
         }
 
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        const json = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: 0 });
+        if (importMode.value === 'transactions') {
+            parseTransactionData(workbook.Sheets[workbook.SheetNames[0]]);
+            return;
+        }
+
+        uploadedWorkbook = workbook;
+        showSheetPicker(workbook);
+        readGridSheet();
+    }
+
+    // ===== SHEET AND LAYOUT =====
+
+    function sheetRows(name, defval) {
+        return XLSX.utils.sheet_to_json(uploadedWorkbook.Sheets[name], { header: 1, defval });
+    }
+
+    // Sheet row that the first row read by sheet_to_json came from
+    function sheetFirstRow(name) {
+        const ref = uploadedWorkbook.Sheets[name]['!ref'];
+        return ref ? XLSX.utils.decode_range(ref).s.r : 0;
+    }
+
+    // List the sheets and preselect the one holding the grid (a named range first)
+    function showSheetPicker(workbook) {
+        const sheets = workbook.SheetNames.map(name => ({ name, rows: sheetRows(name, 0), firstRow: sheetFirstRow(name) }));
+        const picked = pickGridSheet(sheets, workbook.Workbook && workbook.Workbook.Names);
+
+        sheetSelect.innerHTML = sheets.map((s, i) =>
+            `<option value="${i}">${escapeHtml(s.name)} (${s.rows.length} row${s.rows.length === 1 ? '' : 's'})</option>`
+        ).join('');
+        sheetSelect.value = String(picked.index);
+        sheetSelect.disabled = sheets.length === 1;
+
+        financialSheetSelect.innerHTML = '<option value="">Any other sheet (auto-detect)</option>' +
+            '<option value="none">None</option>' +
+            sheets.map((s, i) => `<option value="${i}">${escapeHtml(s.name)}</option>`).join('');
+        financialSheetSelect.disabled = sheets.length === 1;
+
+        fillHeaderRowOptions(sheets[picked.index].rows);
+        headerRowSelect.value = picked.layout.headerRow !== undefined ? String(picked.layout.headerRow) : '';
+        nameColumnSelect.innerHTML = '<option value="">Auto-detect</option>';
+        sheetInfo.textContent = picked.rangeName
+            ? `Using the defined name ${picked.rangeName} on sheet "${sheets[picked.index].name}".`
+            : '';
+        sheetSection.classList.remove('hidden');
+    }
+
+    function fillHeaderRowOptions(rows) {
+        const count = Math.min(rows.length, 50);
+        let html = '<option value="">Auto-detect</option>';
+        for (let r = 0; r < count; r++) html += `<option value="${r}">Row ${r + 1}</option>`;
+        headerRowSelect.innerHTML = html;
+    }
 
-        if (json.length < 2) {
-            showError('File must have at least a header row and one data row.');
+    // Manual choices from the layout controls; blank means auto-detect
+    function readGridLayout() {
+        const layout = {};
+        if (headerRowSelect.value !== '') layout.headerRow = parseInt(headerRowSelect.value, 10);
+        if (nameColumnSelect.value !== '') layout.nameCol = parseInt(nameColumnSelect.value, 10);
+        return layout;
+    }
+
+    // Read the chosen sheet with the chosen layout, then run the data check
+    function readGridSheet() {
+        previewSection.classList.add('hidden');
+        validationSection.classList.add('hidden');
+        workbookFinancials = null;
+
+        const sheetIndex = parseInt(sheetSelect.value, 10);
+        const sheetName = uploadedWorkbook.SheetNames[sheetIndex];
+        const json = sheetRows(sheetName, 0);
+        const layout = readGridLayout();
+        let issues;
+        let split;
+        let grid;
+        try {
+            split = splitFinancialRows(json, layout);
+            issues = validateGridRows(split.rows, layout);
+            grid = locateGrid(split.rows, layout);
+        } catch (err) {
+            renderSheetPreview(json, null);
+            showError(err.message);
             return;
         }
+        hideError();
+        fillNameColumnOptions(json[grid.headerRowIdx], grid);
+        renderSheetPreview(json, grid);
+
+        // Financial rows in the grid come first, then the chosen sheet (or any
+        // other sheet) laid out like the financials CSV or as a labelled grid;
+        // both are aligned once the header fixes give the months
+        const choice = financialSheetSelect.value;
+        const others = uploadedWorkbook.SheetNames
+            .map((name, i) => i)
+            .filter(i => i !== sheetIndex && (choice === '' || String(i) === choice));
+        gridFinancials = {
+            rows: split.financials,
+            dates: grid.dates,
+            sheets: choice === 'none' ? [] : others.map(i => sheetRows(uploadedWorkbook.SheetNames[i], '')),
+        };
 
-        // Find the header row containing dates (may not be row 0 if sheet has leading empty rows)
-        let headerRowIdx = -1;
-        const dates = [];
-        let dataStartCol = -1;
+        gridLayout = layout;
+        gridRows = split.rows;
+        validationFixes = {};
+        renderValidationReport(issues);
+        applyGridFixes();
+    }
 
-        for (let r = 0; r < json.length; r++) {
-            const row = json[r];
-            const rowDates = [];
-            let rowStartCol = -1;
+    // Labelled columns before the first month, by letter and header
+    function fillNameColumnOptions(headerRow, grid) {
+        const selected = nameColumnSelect.value;
+        let html = `<option value="">Auto-detect${grid.nameCol !== -1 && selected === '' ? ` (${columnLetter(grid.nameCol)})` : ''}</option>`;
+        for (let c = 0; c < grid.dataStartCol; c++) {
+            const label = headerRow[c] !== undefined && headerRow[c] !== 0 ? String(headerRow[c]).trim() : '';
+            html += `<option value="${c}">${columnLetter(c)}${label ? `: ${escapeHtml(label)}` : ''}</option>`;
+        }
+        nameColumnSelect.innerHTML = html;
+        nameColumnSelect.value = selected;
+    }
 
-            for (let i = 0; i < row.length; i++) {
-                const parsed = parseDate(row[i]);
-                if (parsed) {
-                    if (rowStartCol === -1) rowStartCol = i;
-                    rowDates.push(parsed);
-                }
-            }
+    // The top-left corner of the sheet, with the header row and name column picked out
+    function renderSheetPreview(json, grid) {
+        const maxRows = 12;
+        const maxCols = 10;
+        const start = grid ? Math.max(0, grid.headerRowIdx - 3) : 0;
+        const width = Math.min(maxCols, json.reduce((max, row) => Math.max(max, row.length), 0));
+        const cell = v => {
+            if (v instanceof Date) return formatDate({ year: v.getUTCFullYear(), month: v.getUTCMonth() + 1 });
+            if (typeof v === 'number') return v === 0 ? '' : v.toLocaleString('en-US');
+            return escapeHtml(v);
+        };
 
-            // A valid header row should have at least 2 dates
-            if (rowDates.length >= 2) {
-                headerRowIdx = r;
-                dates.push(...rowDates);
-                dataStartCol = rowStartCol;
-                break;
+        let html = '<thead><tr><th></th>';
+        for (let c = 0; c < width; c++) html += `<th>${columnLetter(c)}</th>`;
+        html += '</tr></thead><tbody>';
+        json.slice(start, start + maxRows).forEach((row, k) => {
+            const r = start + k;
+            html += `<tr${grid && r === grid.headerRowIdx ? ' class="header-row"' : ''}><td class="row-number">${r + 1}</td>`;
+            for (let c = 0; c < width; c++) {
+                html += `<td${grid && c === grid.nameCol && r > grid.headerRowIdx ? ' class="name-col"' : ''}>${cell(row[c])}</td>`;
             }
+            html += '</tr>';
+        });
+        html += '</tbody>';
+        sheetPreviewTable.innerHTML = html;
+    }
+
+    // Re-parse the uploaded grid with the corrections chosen on the report card
+    function applyGridFixes() {
+        let parsed;
+        try {
+            parsed = parseGridRows(gridRows, validationFixes, gridLayout);
+        } catch (err) {
+            showError(err.message);
+            return;
         }
+        hideError();
+        const sheets = gridFinancials.sheets.map(rows => financialSheet(rows, parsed.dates));
+        workbookFinancials = mergeFinancials(timelineFinancials(gridFinancials.rows, gridFinancials.dates, validationFixes), ...sheets);
+        if (Object.keys(workbookFinancials).length === 0) workbookFinancials = null;
+        loadParsedData(parsed.customers, parsed.dates, parsed.dimensions);
+    }
+
+    // ===== VALIDATION =====
 
-        if (headerRowIdx === -1 || dates.length === 0) {
-            showError('Could not find date headers. Ensure the spreadsheet has a row with dates (e.g., 1/31/2024).');
+    function renderValidationReport(issues) {
+        const maxRefs = 50;
+        validationIssues.innerHTML = '';
+        if (issues.length === 0) {
+            validationSummary.textContent = 'No issues found.';
+            validationSection.classList.remove('hidden');
             return;
         }
 
-        // Parse customer data (rows after the header row)
-        const customers = [];
-        let autoIndex = 0;
-        for (let r = headerRowIdx + 1; r < json.length; r++) {
-            const row = json[r];
-            // Get customer name (columns before the date columns)
-            let name = '';
-            for (let c = 0; c < dataStartCol; c++) {
-                if (row[c] && typeof row[c] === 'string' && row[c].trim()) {
-                    name = row[c].trim();
-                }
-            }
+        const total = issues.reduce((s, issue) => s + issue.items.length, 0);
+        validationSummary.textContent = `${total} potential problem${total === 1 ? '' : 's'} in ${issues.length} categor${issues.length === 1 ? 'y' : 'ies'}. Choose how each is handled before calculating, or abort and correct the file.`;
+
+        issues.forEach(issue => {
+            const div = document.createElement('div');
+            div.className = 'validation-issue';
+            let html = '<div class="validation-issue-header">';
+            html += `<strong>${escapeHtml(issue.title)}</strong> <span class="validation-count">${issue.items.length}</span>`;
+            html += `<select data-type="${issue.type}" aria-label="${escapeHtml(issue.title)}"${issue.fix ? '' : ' disabled'}>`;
+            html += `<option value="ignore">Ignore: ${escapeHtml(issue.ignore)}</option>`;
+            if (issue.fix) html += `<option value="fix">Fix: ${escapeHtml(issue.fix)}</option>`;
+            (issue.alternatives || []).forEach((alt, i) => {
+                html += `<option value="alt-${i}">Fix: ${escapeHtml(alt.fix)}</option>`;
+            });
+            html += '</select></div>';
+            html += `<p>${escapeHtml(issue.description)}</p>`;
+            html += `<details><summary>Show ${issue.items.length === 1 ? 'location' : 'locations'}</summary><ul class="validation-refs">`;
+            issue.items.slice(0, maxRefs).forEach(item => {
+                html += `<li><code>${escapeHtml(item.ref)}</code> ${escapeHtml(item.message)}</li>`;
+            });
+            if (issue.items.length > maxRefs) html += `<li>&hellip; and ${issue.items.length - maxRefs} more</li>`;
+            html += '</ul></details>';
+            div.innerHTML = html;
+            validationIssues.appendChild(div);
+        });
+        validationSection.classList.remove('hidden');
+    }
 
-            const revenue = [];
-            for (let c = dataStartCol; c < dataStartCol + dates.length; c++) {
-                const val = parseFloat(row[c]) || 0;
-                revenue.push(Math.max(0, val)); // Ensure non-negative
-            }
+    // Discard the upload so the file can be corrected and uploaded again
+    function abortUpload() {
+        parsedCustomerData = null;
+        parsedDates = null;
+        parsedDimensions = [];
+        gridRows = null;
+        gridFinancials = null;
+        computedMetrics = null;
+        displayedMetrics = null;
+        fileInput.value = '';
+        sessionSave.disabled = true;
+
+        uploadedWorkbook = null;
+        [sheetSection, validationSection, previewSection, financialSection, graceSection, definitionsSection, currencySection, resultsSection].forEach(el => el.classList.add('hidden'));
+        calculateBtn.classList.add('hidden');
+        calculateBtn.disabled = true;
+        hideError();
+        fileInfo.textContent = 'Upload aborted. Correct the file and upload it again.';
+    }
 
-            // Only include rows that have at least some revenue
-            if (revenue.some(v => v > 0)) {
-                // Auto-generate name if no name column or name is empty
-                if (!name) {
-                    autoIndex++;
-                    name = 'Customer ' + autoIndex;
-                }
-                customers.push({ name, revenue });
+    // Long-format invoice / subscription lines, pivoted into the same
+    // customer x month grid before anything else sees them
+    function parseTransactionData(sheet) {
+        const json = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        const { lines, skipped } = parseTransactionRows(json);
+        const { customers, dates } = pivotTransactions(lines);
+
+        if (customers.length === 0) {
+            showError('No customer data with revenue found in the file.');
+            return;
+        }
+
+        const spreadCount = lines.filter(l => l.periodStart && l.periodEnd && monthsInPeriod(l.periodStart, l.periodEnd) > 1).length;
+        let caption = `${lines.length} line items pivoted into monthly MRR; ${spreadCount} multi-month invoices spread across their service period.`;
+        if (skipped > 0) caption += ` ${skipped} rows without a customer, date or amount were skipped.`;
+        showPreview(customers, dates, caption);
+
+        loadParsedData(customers, dates, []);
+    }
+
+    // Stripe subscription or invoice exports, as API JSON or Dashboard CSV
+    function parseStripeData(data, ext) {
+        let source;
+        if (ext === 'json') {
+            try {
+                source = JSON.parse(data);
+            } catch (err) {
+                throw new Error('The file is not valid JSON.');
             }
+        } else {
+            const workbook = XLSX.read(data, { type: 'string', raw: true });
+            source = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
         }
 
+        const { customers, dates, kind, count, skipped } = parseStripeExport(source);
         if (customers.length === 0) {
             showError('No customer data with revenue found in the file.');
             return;
         }
 
+        let caption = kind === 'subscriptions'
+            ? `${count} Stripe subscriptions normalised to month-end MRR, net of discounts.`
+            : `${count} Stripe invoices pivoted into monthly MRR; recurring lines and prorations are spread across their service period.`;
+        if (skipped > 0) caption += ` ${skipped} ${kind === 'subscriptions' ? 'incomplete subscriptions' : 'draft, void or unrecognised records'} were skipped.`;
+        showPreview(customers, dates, caption);
+
+        loadParsedData(customers, dates, []);
+    }
+
+    function showPreview(customers, dates, caption) {
+        previewCaption.textContent = caption;
+        renderPreviewTable(customers, dates);
+        previewSection.classList.remove('hidden');
+    }
+
+    function loadParsedData(customers, dates, dimensions) {
         parsedCustomerData = customers;
         parsedDates = dates;
+        parsedDimensions = dimensions;
 
         fileInfo.textContent = `Loaded: ${customers.length} customers across ${dates.length} months (${formatDate(dates[0])} to ${formatDate(dates[dates.length - 1])})`;
 
-        // Show net loss inputs
-        buildNetLossInputs(dates);
-        netLossSection.classList.remove('hidden');
+        // Show financial inputs, filled from the workbook where it has them
+        buildFinancialInputs(dates);
+        financialInfo.textContent = '';
+        if (workbookFinancials) {
+            const filled = fillFinancialInputs(workbookFinancials);
+            financialInfo.textContent = `Filled ${filled} financial values from the uploaded workbook`;
+        }
+        financialSection.classList.remove('hidden');
+        graceSection.classList.remove('hidden');
+        definitionsSection.classList.remove('hidden');
+        setupCurrencySection(customers, dates);
 
         // Show calculate button
         calculateBtn.classList.remove('hidden');
         calculateBtn.disabled = false;
     }
 
-    function parseDate(val) {
-        // Return plain {year, month} objects to avoid timezone issues.
-        // SheetJS cellDates creates UTC dates; using getMonth() in a non-UTC
-        // timezone could shift the date to the wrong day/month.
-        if (val instanceof Date && !isNaN(val.getTime())) {
-            const y = val.getUTCFullYear();
-            if (y > 1900) return { year: y, month: val.getUTCMonth() + 1 };
+    // The pivoted grid: largest customers first, capped so big files stay responsive
+    function renderPreviewTable(customers, dates) {
+        const maxRows = 25;
+        const table = document.getElementById('preview-table');
+        const sorted = customers.slice().sort((a, b) => b.revenue.reduce((s, v) => s + v, 0) - a.revenue.reduce((s, v) => s + v, 0));
+        // Amounts are still in each customer's billing currency, so only total a single-currency file
+        const mixedCurrency = new Set(customers.map(c => c.currency || '')).size > 1;
+        const fmt = mixedCurrency ? 'number' : 'currency';
+
+        let html = '<thead><tr><th>Customer</th>';
+        if (mixedCurrency) html += '<th>Currency</th>';
+        dates.forEach(d => { html += `<th>${formatDate(d)}</th>`; });
+        html += '</tr></thead><tbody>';
+        sorted.slice(0, maxRows).forEach(c => {
+            html += `<tr><td>${escapeHtml(c.name)}</td>`;
+            if (mixedCurrency) html += `<td>${escapeHtml(c.currency || '')}</td>`;
+            c.revenue.forEach(v => { html += `<td>${v ? formatValue(v, fmt, reportingCurrency) : '-'}</td>`; });
+            html += '</tr>';
+        });
+        if (sorted.length > maxRows) {
+            html += `<tr><td colspan="${dates.length + (mixedCurrency ? 2 : 1)}" class="results-caption">&hellip; and ${sorted.length - maxRows} more customers</td></tr>`;
         }
-        if (typeof val === 'number' && val > 365) {
-            // Excel serial date number (365 = ~Jan 1901, reject small values like 0)
-            const d = XLSX.SSF.parse_date_code(val);
-            if (d && d.y > 1900) return { year: d.y, month: d.m };
+        if (!mixedCurrency) {
+            const totals = dates.map((_, i) => customers.reduce((s, c) => s + c.revenue[i], 0));
+            html += '<tr class="total-row"><td>Total MRR</td>';
+            totals.forEach(v => { html += `<td>${formatCurrency(v, reportingCurrency)}</td>`; });
+            html += '</tr>';
         }
-        if (typeof val === 'string') {
-            const d = new Date(val);
-            if (!isNaN(d.getTime()) && d.getUTCFullYear() > 1900) {
-                return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
-            }
+        html += '</tbody>';
+        table.innerHTML = html;
+    }
+
+    // ===== CURRENCY =====
+
+    function billingCurrencies(customers) {
+        const codes = new Set();
+        customers.forEach(c => {
+            if (c.currency) codes.add(c.currency);
+        });
+        return Array.from(codes).sort();
+    }
+
+    function setupCurrencySection(customers, dates) {
+        const billing = billingCurrencies(customers);
+        if (billing.length === 0) {
+            currencySection.classList.add('hidden');
+            return;
+        }
+
+        const options = Array.from(new Set(COMMON_CURRENCIES.concat(billing)));
+        reportingCurrencySelect.innerHTML = '';
+        options.forEach(code => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = code;
+            reportingCurrencySelect.appendChild(opt);
+        });
+        // Default to USD unless nobody bills in it and there is a single billing currency
+        reportingCurrencySelect.value = billing.length === 1 && billing[0] !== 'USD' ? billing[0] : 'USD';
+
+        fxConstantMonth.innerHTML = '';
+        dates.forEach((d, i) => {
+            const opt = document.createElement('option');
+            opt.value = i;
+            opt.textContent = formatDate(d);
+            fxConstantMonth.appendChild(opt);
+        });
+        fxConstantMonth.value = dates.length - 1;
+        fxConstantMonth.disabled = fxMethodSelect.value !== 'constant';
+
+        buildFxTable();
+        currencySection.classList.remove('hidden');
+    }
+
+    // One row per month, one column per billing currency other than the reporting currency
+    function buildFxTable() {
+        const reporting = reportingCurrencySelect.value;
+        const foreign = billingCurrencies(parsedCustomerData).filter(c => c !== reporting);
+        const table = document.getElementById('fx-table');
+        table.innerHTML = '';
+        if (foreign.length === 0) {
+            fxTableWrapper.classList.add('hidden');
+            return;
         }
-        return null;
+        fxTableWrapper.classList.remove('hidden');
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headerRow.innerHTML = '<th>Month</th>';
+        foreign.forEach(ccy => {
+            headerRow.innerHTML += `<th>1 ${ccy} = ? ${reporting}</th>`;
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        parsedDates.forEach((d, i) => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td>${formatDate(d)}</td>`;
+            foreign.forEach(ccy => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.id = `fx-${ccy}-${i}`;
+                input.step = 'any';
+                input.min = '0';
+                input.placeholder = '—';
+                input.setAttribute('aria-label', `${ccy} to ${reporting}, ${formatDate(d)}`);
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+    }
+
+    function readFxRates() {
+        const rates = {};
+        billingCurrencies(parsedCustomerData).forEach(ccy => {
+            rates[ccy] = parsedDates.map((d, i) => {
+                const input = document.getElementById(`fx-${ccy}-${i}`);
+                return input && input.value !== '' ? parseFloat(input.value) : null;
+            });
+        });
+        return rates;
+    }
+
+    // CSV layout: a Month column followed by one column per currency code
+    function handleFxFile(file) {
+        const reader = new FileReader();
+        reader.onload = function (e) {
+            try {
+                const wb = XLSX.read(e.target.result, { type: 'string', cellDates: true });
+                const rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, defval: '' });
+                const { columns } = parseMonthColumns(rows, parsedDates);
+                let filled = 0;
+                Object.keys(columns).forEach(header => {
+                    const ccy = header.toUpperCase();
+                    columns[header].forEach((val, idx) => {
+                        const input = document.getElementById(`fx-${ccy}-${idx}`);
+                        if (input && val !== null) {
+                            input.value = val;
+                            filled++;
+                        }
+                    });
+                });
+                hideError();
+                fxFileInfo.textContent = `Loaded ${filled} FX rates from ${file.name}`;
+            } catch (err) {
+                showError('Error reading FX rates: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
     }
 
-    function buildNetLossInputs(dates) {
-        netLossInputs.innerHTML = '';
+    // ===== FINANCIAL INPUTS =====
+
+    // One row per month, one column per financial series
+    function buildFinancialInputs(dates) {
+        const table = document.getElementById('financial-table');
+        const keys = Object.keys(FINANCIAL_SERIES);
+        let html = '<thead><tr><th>Month</th>';
+        keys.forEach(key => { html += `<th>${escapeHtml(FINANCIAL_SERIES[key].label)}</th>`; });
+        html += '</tr></thead><tbody>';
         dates.forEach((d, i) => {
-            const group = document.createElement('div');
-            group.className = 'net-loss-input-group';
-            const label = document.createElement('label');
-            label.textContent = formatDate(d);
-            label.setAttribute('for', `net-loss-${i}`);
-            const input = document.createElement('input');
-            input.type = 'number';
-            input.id = `net-loss-${i}`;
-            input.placeholder = '0';
-            input.step = 'any';
-            group.appendChild(label);
-            group.appendChild(input);
-            netLossInputs.appendChild(group);
+            html += `<tr><td>${formatDate(d)}</td>`;
+            keys.forEach(key => {
+                const label = `${FINANCIAL_SERIES[key].label}, ${formatDate(d)}`;
+                html += `<td><input type="number" id="fin-${key}-${i}" step="any" placeholder="—" aria-label="${escapeHtml(label)}"></td>`;
+            });
+            html += '</tr>';
+        });
+        table.innerHTML = html + '</tbody>';
+        grossMarginConstant.value = '';
+
+        financialPasteSeries.innerHTML = '';
+        keys.forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = FINANCIAL_SERIES[key].label;
+            financialPasteSeries.appendChild(opt);
+        });
+    }
+
+    // Copy { key: values } into the inputs; blank values leave an input as it was.
+    // Gross margin inputs are percents, whatever unit the source used
+    function fillFinancialInputs(financials) {
+        let filled = 0;
+        Object.keys(financials).forEach(key => {
+            const values = key === 'grossMargin' && financials[key]
+                ? marginFractions(financials[key]).map(v => v === null ? null : Math.round(v * 1e6) / 1e4)
+                : financials[key];
+            (values || []).forEach((val, i) => {
+                const input = document.getElementById(`fin-${key}-${i}`);
+                if (input && val !== null && val !== undefined) {
+                    input.value = val;
+                    filled++;
+                }
+            });
+        });
+        return filled;
+    }
+
+    // { key: values } for every series with at least one value entered
+    function readFinancialInputs() {
+        const financials = {};
+        Object.keys(FINANCIAL_SERIES).forEach(key => {
+            const values = parsedDates.map((d, i) => {
+                const input = document.getElementById(`fin-${key}-${i}`);
+                return input && input.value !== '' ? parseFloat(input.value) : null;
+            });
+            if (values.some(v => v !== null)) financials[key] = values;
+        });
+        // Gross margin is entered in percent and passed on as fractions; a
+        // constant gross margin fills every month without its own figure
+        if (financials.grossMargin) financials.grossMargin = financials.grossMargin.map(v => v !== null ? v / 100 : null);
+        if (grossMarginConstant.value !== '') {
+            const margin = parseFloat(grossMarginConstant.value) / 100;
+            financials.grossMargin = (financials.grossMargin || parsedDates.map(() => null)).map(v => v !== null ? v : margin);
+        }
+        return financials;
+    }
+
+    function applyFinancialPaste() {
+        const key = financialPasteSeries.value;
+        const values = parseFinancialPaste(financialPaste.value);
+        if (values.length === 0) {
+            showError('Paste one value per month, starting with the first month.');
+            return;
+        }
+        hideError();
+        const filled = fillFinancialInputs({ [key]: values.slice(0, parsedDates.length) });
+        let note = `Filled ${filled} ${FINANCIAL_SERIES[key].label} values`;
+        if (values.length > parsedDates.length) note += `; ${values.length - parsedDates.length} values beyond the last month were ignored`;
+        financialInfo.textContent = note;
+        financialPaste.value = '';
+    }
+
+    // CSV layout: a Month column followed by one column per series, headed with its label
+    function handleFinancialFile(file) {
+        const reader = new FileReader();
+        reader.onload = function (e) {
+            try {
+                const wb = XLSX.read(e.target.result, { type: 'string', cellDates: true });
+                const rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, defval: '' });
+                const { financials, unknown } = financialColumns(rows, parsedDates);
+                if (Object.keys(financials).length === 0) {
+                    const expected = Object.keys(FINANCIAL_SERIES).map(key => FINANCIAL_SERIES[key].label).join(', ');
+                    throw new Error(`no recognised columns (expected a Month column and any of ${expected})`);
+                }
+                const filled = fillFinancialInputs(financials);
+                let note = `Loaded ${filled} financial values from ${file.name}`;
+                if (unknown.length > 0) note += `; ignored columns: ${unknown.join(', ')}`;
+                hideError();
+                financialInfo.textContent = note;
+            } catch (err) {
+                showError('Error reading financial inputs: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // ===== METRIC DEFINITIONS =====
+
+    // One select per definition, on its default
+    function buildDefinitionInputs() {
+        definitionInputs.innerHTML = Object.keys(METRIC_DEFINITIONS).map(key => {
+            const def = METRIC_DEFINITIONS[key];
+            const options = Object.keys(def.choices).map(value =>
+                `<option value="${value}"${String(def.default) === value ? ' selected' : ''}>${escapeHtml(def.choices[value])}</option>`
+            ).join('');
+            return `<div class="option-input-group"><label for="definition-${key}">${escapeHtml(def.label)}</label>` +
+                `<select id="definition-${key}" title="${escapeHtml(def.note)}">${options}</select></div>`;
+        }).join('');
+    }
+
+    function readDefinitions() {
+        const values = {};
+        Object.keys(METRIC_DEFINITIONS).forEach(key => {
+            values[key] = document.getElementById(`definition-${key}`).value;
+        });
+        return metricDefinitions(values);
+    }
+
+    // Sessions saved before definitions were configurable get the defaults
+    function setDefinitions(definitions) {
+        const defs = metricDefinitions(definitions);
+        Object.keys(METRIC_DEFINITIONS).forEach(key => {
+            document.getElementById(`definition-${key}`).value = String(defs[key]);
+        });
+    }
+
+    // ===== BENCHMARKS =====
+
+    // Stage choices follow the set; the chosen stage is kept if the set has it
+    function setBenchmarkSet(set, stageKey) {
+        benchmarkSet = set;
+        benchmarkStageSelect.innerHTML = '<option value="auto">Auto (by ARR)</option>' +
+            set.stages.map(s => `<option value="${escapeHtml(s.key)}">${escapeHtml(s.label || s.key)}</option>`).join('');
+        benchmarkStageSelect.value = set.stages.some(s => s.key === stageKey) ? stageKey : 'auto';
+        benchmarkJson.value = benchmarksToJSON(set);
+    }
+
+    function refreshBenchmarks() {
+        if (renderedMetrics) renderResults(renderedMetrics);
+    }
+
+    function handleBenchmarkFile(file) {
+        const reader = new FileReader();
+        reader.onload = function (e) {
+            try {
+                setBenchmarkSet(benchmarksFromJSON(e.target.result), benchmarkStageSelect.value);
+                hideError();
+                refreshBenchmarks();
+            } catch (err) {
+                showError(`Error reading benchmarks from ${file.name}: ${err.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Every benchmarked metric at the latest period, with its bands and rank
+    function renderBenchmarks(m) {
+        const last = m.arr.length - 1;
+        const stage = benchmarkStage(benchmarkSet, m.arr[last], benchmarkStageSelect.value);
+        const defs = metricDefinitions(m.definitions);
+        let caption = `Compared with ${stage.label || stage.key} companies ` +
+            `(${benchmarkStageSelect.value === 'auto' ? 'the stage of the latest ARR' : 'chosen stage'}) ` +
+            `in "${benchmarkSet.name}"${benchmarkSet.source ? ` (${benchmarkSet.source})` : ''}.`;
+        if (benchmarkSet.currency !== reportingCurrency) {
+            caption += ` The benchmarks are in ${benchmarkSet.currency}; ARR stages and ACV are compared at face value.`;
+        }
+        const cohortNDR = defs.headlineNDR === 'cohort';
+        if (defs.lookbackMonths !== 12) {
+            caption += ` ${cohortNDR ? 'Growth, GDR and customer retention' : 'Growth and retention'} are not compared: ` +
+                `they use a ${defs.lookbackMonths}-month lookback and the benchmarks are twelve-month figures.`;
+        }
+        if (cohortNDR && defs.cohortWindowMonths !== 12) {
+            caption += ` NDR is not compared: the headline cohort NDR uses a ${defs.cohortWindowMonths}-month cohort window.`;
+        }
+        benchmarkCaption.textContent = caption;
+
+        const table = document.getElementById('benchmark-table');
+        let html = '<thead><tr><th>Metric</th><th>Latest</th><th>Percentile</th>' +
+            BENCHMARK_PERCENTILES.map(p => `<th>${p === 50 ? 'Median' : `P${p}`}</th>`).join('') + '</tr></thead><tbody>';
+        Object.keys(benchmarkSet.metrics).forEach(key => {
+            const bands = benchmarkBands(benchmarkSet, key, stage, m);
+            if (!bands) return;
+            const metric = benchmarkSet.metrics[key];
+            const fmt = metric.fmt || 'number';
+            // NDR is ranked on the headline NDR, and named after it
+            const series = benchmarkedSeries(key, m);
+            const label = series !== key ? headlineNDRMetric(m.definitions).label : metric.label || key;
+            const value = m[series] ? m[series][last] : null;
+            const ranked = typeof value === 'number' && Number.isFinite(value);
+            html += `<tr><td>${escapeHtml(label)}</td>` +
+                `<td>${formatValue(ranked ? value : null, fmt, reportingCurrency)}</td>` +
+                `<td>${ranked ? escapeHtml(benchmarkPercentile(bands, value).label) : '---'}</td>` +
+                bands.map(v => `<td>${formatValue(v, fmt, reportingCurrency)}</td>`).join('') + '</tr>';
         });
+        table.innerHTML = html + '</tbody>';
+    }
+
+    // Percentile badge for the latest value of a benchmarked row
+    function benchmarkBadge(key) {
+        if (!benchmarkShow.checked) return '';
+        const b = latestBenchmark(renderedMetrics, benchmarkSet, key, benchmarkStageSelect.value);
+        if (!b) return '';
+        const quartile = Math.min(4, Math.floor(b.percentile / 25) + 1);
+        const point = i => formatValue(b.bands[i], b.fmt, reportingCurrency);
+        const title = `${b.stage.label || b.stage.key}: P25 ${point(1)}, median ${point(2)}, P75 ${point(3)}`;
+        return ` <span class="benchmark-badge quartile-${quartile}" title="${escapeHtml(title)}">${escapeHtml(b.text)}</span>`;
+    }
+
+    // Shaded band between two edge datasets; the lower edge stays out of the
+    // legend and both stay out of the tooltip
+    function benchmarkBandDatasets(label, band, start, color, pad) {
+        const tail = new Array(pad || 0).fill(null);
+        const edge = { borderColor: 'transparent', borderWidth: 0, pointRadius: 0, order: 1 };
+        return [
+            Object.assign({ label, data: band.low.slice(start).concat(tail), backgroundColor: 'transparent', fill: false, benchmarkEdge: true }, edge),
+            Object.assign({ label, data: band.high.slice(start).concat(tail), backgroundColor: color, fill: '-1', benchmarkBand: true }, edge),
+        ];
+    }
+
+    function hideBenchmarkEdge(item, data) {
+        return !data.datasets[item.datasetIndex].benchmarkEdge;
+    }
+
+    function hideBenchmarkBand(item) {
+        return !item.dataset.benchmarkEdge && !item.dataset.benchmarkBand;
     }
 
     // ===== CALCULATIONS =====
 
-    function runCalculations() {
-        if (!parsedCustomerData || !parsedDates) return;
+    function runCalculations() {
+        if (!parsedCustomerData || !parsedDates) return;
+
+        const graceMonths = Math.max(0, parseInt(graceMonthsInput.value, 10) || 0);
+
+        // Convert every customer into the reporting currency
+        let customers = parsedCustomerData;
+        let currency = 'USD';
+        if (billingCurrencies(parsedCustomerData).length > 0) {
+            currency = reportingCurrencySelect.value;
+            try {
+                customers = convertCustomerData(parsedCustomerData, parsedDates, readFxRates(), {
+                    reportingCurrency: currency,
+                    method: fxMethodSelect.value,
+                    constantIndex: parseInt(fxConstantMonth.value, 10),
+                });
+            } catch (err) {
+                showError(err.message);
+                return;
+            }
+            hideError();
+        }
+        reportingCurrency = currency;
+
+        calculationInputs = {
+            sourceCustomers: parsedCustomerData,
+            customers,
+            currency,
+            dates: parsedDates,
+            dimensions: parsedDimensions,
+            financials: readFinancialInputs(),
+            options: Object.assign({ graceMonths }, readDefinitions()),
+        };
+        segmentMetricsCache = new Map();
+        forecastOverrides = {};
+        restatementDiff = null;
+        diffView.classList.add('hidden');
+
+        computedMetrics = calculateMetrics(
+            calculationInputs.customers,
+            calculationInputs.dates,
+            calculationInputs.financials,
+            calculationInputs.options
+        );
+
+        compareLabel.value = fileName;
+        populateSegmentDimensions();
+        showSelectedSegment();
+        resultsSection.classList.remove('hidden');
+        sessionSave.disabled = false;
+
+        // Scroll to results
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // ===== SEGMENTS =====
+
+    function segmentValuesFor(dimension) {
+        const values = new Set(calculationInputs.customers.map(c => c.attributes[dimension]));
+        return Array.from(values).sort((a, b) => a.localeCompare(b));
+    }
+
+    function metricsForSegment(dimension, value) {
+        const key = dimension + '\u0000' + value;
+        if (!segmentMetricsCache.has(key)) {
+            // Financial inputs are company-level figures, so efficiency metrics are not split by segment
+            const customers = calculationInputs.customers.filter(c => c.attributes[dimension] === value);
+            segmentMetricsCache.set(key, calculateMetrics(customers, calculationInputs.dates, null, calculationInputs.options));
+        }
+        return segmentMetricsCache.get(key);
+    }
+
+    function populateSegmentDimensions() {
+        const dims = calculationInputs.dimensions;
+        const previous = segmentDimension.value;
+        segmentDimension.innerHTML = '<option value="">All customers</option>';
+        dims.forEach(d => {
+            const opt = document.createElement('option');
+            opt.value = d;
+            opt.textContent = d;
+            segmentDimension.appendChild(opt);
+        });
+        segmentDimension.value = dims.includes(previous) ? previous : '';
+        segmentSection.classList.toggle('hidden', dims.length === 0);
+        populateSegmentValues();
+    }
+
+    function populateSegmentValues() {
+        const dimension = segmentDimension.value;
+        const previous = segmentValue.value;
+        segmentValue.innerHTML = '<option value="">All segments</option>';
+        if (!dimension) {
+            segmentValue.disabled = true;
+            return;
+        }
+        const values = segmentValuesFor(dimension);
+        values.forEach(v => {
+            const opt = document.createElement('option');
+            opt.value = v;
+            opt.textContent = v;
+            segmentValue.appendChild(opt);
+        });
+        segmentValue.disabled = false;
+        segmentValue.value = values.includes(previous) ? previous : '';
+    }
+
+    function showSelectedSegment() {
+        const dimension = segmentDimension.value;
+        const value = segmentValue.value;
+        displayedMetrics = dimension && value ? metricsForSegment(dimension, value) : computedMetrics;
+
+        if (dimension) {
+            renderSegmentTable(dimension);
+            segmentBreakdown.classList.remove('hidden');
+        } else {
+            segmentBreakdown.classList.add('hidden');
+        }
+        updateForecast();
+        renderResults(periodView(displayedMetrics));
+        refreshCustomers();
+    }
+
+    // Side-by-side view: latest-period value of every metric, one column per segment
+    function renderSegmentTable(dimension) {
+        const values = segmentValuesFor(dimension);
+        const all = periodView(computedMetrics);
+        const columns = [{ label: 'All', m: all }]
+            .concat(values.map(v => ({ label: v, m: periodView(metricsForSegment(dimension, v)) })));
+        const last = all.dates.length - 1;
+        segmentCaption.textContent = `Latest ${all.periods ? 'period' : 'month'} (${periodLabels(all)[last]}) by ${dimension}`;
+
+        const table = document.getElementById('segment-table');
+        table.innerHTML = '';
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headerRow.innerHTML = '<th>Metric</th>';
+        columns.forEach(col => {
+            headerRow.innerHTML += `<th>${escapeHtml(col.label)}</th>`;
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        metricSections().forEach(section => {
+            const heading = document.createElement('tr');
+            heading.className = 'section-row';
+            heading.innerHTML = `<td colspan="${columns.length + 1}">${section.title}</td>`;
+            tbody.appendChild(heading);
+
+            section.rows(all).forEach((row, r) => {
+                const tr = document.createElement('tr');
+                if (row.total) tr.classList.add('total-row');
+                let html = `<td>${row.label}</td>`;
+                columns.forEach(col => {
+                    const val = section.rows(col.m)[r].data[last];
+                    const cls = typeof val === 'number' && val < 0 && row.fmt === 'currency' ? 'negative' : '';
+                    html += `<td class="${cls}">${formatValue(val, row.fmt, reportingCurrency)}</td>`;
+                });
+                tr.innerHTML = html;
+                tbody.appendChild(tr);
+            });
+        });
+        table.appendChild(tbody);
+    }
+
+    // ===== PERIODS =====
+
+    // Metrics for the selected period view; the monthly view passes m through
+    function periodView(m) {
+        if (periodType.value === 'month') return m;
+        if (!rollupCache.has(m)) {
+            rollupCache.set(m, rollupMetrics(m, {
+                period: periodType.value,
+                fyStartMonth: parseInt(fyStartMonth.value, 10),
+            }));
+        }
+        return rollupCache.get(m);
+    }
+
+    function changePeriod() {
+        rollupCache = new WeakMap();
+        fyStartMonth.disabled = periodType.value === 'month';
+        // Live formulas reference monthly columns, so they are only written for the monthly view
+        exportFormulas.disabled = periodType.value !== 'month';
+        if (exportFormulas.disabled) exportFormulas.checked = false;
+        if (computedMetrics) showSelectedSegment();
+    }
+
+    // ===== COMPARISON =====
+
+    // Snapshot of the monthly results on screen (including the selected segment)
+    function addComparisonEntry() {
+        if (!displayedMetrics) return;
+        const segment = segmentDimension.value && segmentValue.value ? ` (${segmentValue.value})` : '';
+        const label = compareLabel.value.trim() || `Dataset ${comparisonEntries.length + 1}`;
+        comparisonEntries.push({ label: label + segment, currency: reportingCurrency, metrics: displayedMetrics });
+        renderComparison();
+    }
+
+    function renderComparison() {
+        compareList.innerHTML = comparisonEntries.map((e, i) =>
+            `<li style="--swatch:${COMPARE_COLORS[i % COMPARE_COLORS.length]}">${escapeHtml(e.label)}` +
+            `<button class="btn-close" data-remove="${i}" aria-label="Remove ${escapeHtml(e.label)}">&times;</button></li>`
+        ).join('');
+
+        if (comparisonChart) {
+            comparisonChart.destroy();
+            comparisonChart = null;
+        }
+        compareView.classList.toggle('hidden', comparisonEntries.length === 0);
+        if (comparisonEntries.length === 0) return;
+
+        const { defs, mismatched } = comparisonDefinitions(comparisonEntries);
+        compareWarning.textContent = mismatched.length === 0 ? ''
+            : `The datasets were calculated under different metric definitions (${mismatched.join(', ')}), ` +
+              'so their figures are not like for like. Labels follow the first dataset; recalculate the others with its definitions to compare them.';
+        const metrics = comparisonMetrics(defs);
+        Array.from(compareMetric.options).forEach(opt => { opt.textContent = metrics[opt.value].label; });
+
+        renderComparisonChart(metrics);
+        renderComparisonTable(comparisonRows(defs));
+    }
+
+    function renderComparisonChart(metrics) {
+        const key = compareMetric.value;
+        const metric = metrics[key];
+        const { labels, series } = alignSeries(comparisonEntries, metric.key, compareAlign.value);
+        const currencies = new Set(comparisonEntries.map(e => e.currency));
+        // A currency symbol only makes sense on the axis when every dataset shares it
+        const symbol = currencies.size === 1 ? currencySymbol(comparisonEntries[0].currency) : '';
+        const tick = v => metric.fmt === 'percent' ? (v * 100).toFixed(0) + '%'
+            : metric.fmt === 'currency' ? symbol + abbreviateNumber(v) : abbreviateNumber(v);
+
+        const ctx = document.getElementById('compare-chart').getContext('2d');
+        comparisonChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: comparisonEntries.map((e, i) => ({
+                    label: e.label,
+                    data: series[i],
+                    borderColor: COMPARE_COLORS[i % COMPARE_COLORS.length],
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    pointRadius: 1,
+                })),
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
+                    y: { ticks: { callback: tick, font: { size: 10 } } },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => `${ctx.dataset.label}: ${formatValue(ctx.parsed.y, metric.fmt, comparisonEntries[ctx.datasetIndex].currency)}`,
+                        },
+                    },
+                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                },
+            },
+        });
+    }
+
+    // Latest month of every dataset, each in its own reporting currency
+    function renderComparisonTable(rows) {
+        const latest = comparisonEntries.map(e => latestValues(e, rows));
+        const table = document.getElementById('compare-table');
+        let html = '<thead><tr><th>Metric</th>';
+        comparisonEntries.forEach(e => { html += `<th>${escapeHtml(e.label)}</th>`; });
+        html += '</tr></thead><tbody><tr><td>Latest month</td>';
+        latest.forEach(l => { html += `<td>${formatDate(l.date)}</td>`; });
+        html += '</tr><tr><td>Currency</td>';
+        comparisonEntries.forEach(e => { html += `<td>${e.currency}</td>`; });
+        html += '</tr>';
+        rows.forEach(row => {
+            html += `<tr><td>${row.label}</td>`;
+            latest.forEach((l, i) => {
+                html += `<td>${formatValue(l.values[row.key], row.fmt, comparisonEntries[i].currency)}</td>`;
+            });
+            html += '</tr>';
+        });
+        table.innerHTML = html + '</tbody>';
+    }
+
+    // ===== SAVED ANALYSES =====
+
+    // Everything needed to rebuild the results on screen
+    function captureSession() {
+        const billing = billingCurrencies(parsedCustomerData).length > 0;
+        return {
+            fileName,
+            importMode: importMode.value,
+            customers: parsedCustomerData,
+            dates: parsedDates,
+            dimensions: parsedDimensions,
+            financials: calculationInputs.financials,
+            graceMonths: calculationInputs.options.graceMonths,
+            definitions: metricDefinitions(calculationInputs.options),
+            currency: billing ? {
+                reporting: reportingCurrencySelect.value,
+                method: fxMethodSelect.value,
+                constantIndex: parseInt(fxConstantMonth.value, 10),
+                rates: readFxRates(),
+            } : null,
+            view: {
+                period: periodType.value,
+                fyStartMonth: parseInt(fyStartMonth.value, 10),
+                segmentDimension: segmentDimension.value,
+                segmentValue: segmentValue.value,
+                cohortView: cohortView.value,
+            },
+            // The bundled set is not copied into every session
+            benchmarks: {
+                stage: benchmarkStageSelect.value,
+                show: benchmarkShow.checked,
+                set: benchmarkSet === DEFAULT_BENCHMARKS ? null : benchmarkSet,
+            },
+            forecast: {
+                horizon: forecastHorizon.value,
+                scenario: forecastScenario.value,
+                lookback: forecastLookback.value,
+                overrides: forecastOverrides,
+            },
+        };
+    }
+
+    // Overwrites the analysis that is open, otherwise saves a new one
+    function saveCurrentAnalysis() {
+        if (!computedMetrics) return;
+        saveAnalysis({
+            id: currentAnalysisId,
+            name: sessionName.value.trim() || fileName || 'Untitled analysis',
+            company: sessionCompany.value.trim(),
+            session: captureSession(),
+        }).then(record => {
+            currentAnalysisId = record.id;
+            sessionName.value = record.name;
+            sessionInfo.textContent = `Saved "${record.name}" at ${new Date(record.savedAt).toLocaleString()}.`;
+            return refreshSessionList();
+        }).catch(err => {
+            sessionInfo.textContent = 'Could not save the analysis: ' + err.message;
+        });
+    }
+
+    function refreshSessionList() {
+        return listAnalyses().then(renderSessionTable).catch(err => {
+            sessionInfo.textContent = err.message;
+        });
+    }
+
+    function renderSessionTable(analyses) {
+        if (analyses.length === 0) {
+            sessionTable.innerHTML = '';
+            return;
+        }
+        let html = '<thead><tr><th>Analysis</th><th>Company</th><th>Saved</th><th></th></tr></thead><tbody>';
+        analyses.forEach(a => {
+            const id = escapeHtml(a.id);
+            html += `<tr><td>${escapeHtml(a.name)}${a.id === currentAnalysisId ? ' (open)' : ''}</td>` +
+                `<td>${escapeHtml(a.company || '')}</td><td>${new Date(a.savedAt).toLocaleString()}</td>` +
+                '<td class="session-actions">' +
+                `<button class="btn-secondary" data-action="open" data-id="${id}">Open</button>` +
+                `<button class="btn-secondary" data-action="duplicate" data-id="${id}">Duplicate</button>` +
+                `<button class="btn-secondary" data-action="export" data-id="${id}">Export</button>` +
+                `<button class="btn-secondary" data-action="delete" data-id="${id}">Delete</button>` +
+                '</td></tr>';
+        });
+        sessionTable.innerHTML = html + '</tbody>';
+    }
+
+    function handleSessionAction(action, id) {
+        let pending;
+        if (action === 'open') {
+            pending = getAnalysis(id).then(openAnalysis);
+        } else if (action === 'duplicate') {
+            pending = duplicateAnalysis(id).then(refreshSessionList);
+        } else if (action === 'export') {
+            pending = getAnalysis(id).then(record => {
+                const blob = new Blob([sessionToJSON(record)], { type: 'application/json' });
+                downloadFile(blob, `${record.name.replace(/[^\w\- ]+/g, '_')}.mrr-session.json`);
+            });
+        } else if (action === 'delete') {
+            if (!window.confirm('Delete this saved analysis? This cannot be undone.')) return;
+            pending = deleteAnalysis(id).then(() => {
+                if (id === currentAnalysisId) currentAnalysisId = null;
+                return refreshSessionList();
+            });
+        }
+        if (pending) {
+            pending.catch(err => {
+                sessionInfo.textContent = err.message;
+            });
+        }
+    }
+
+    // Imported sessions are added to the list and opened straight away
+    function importSessionFile(file) {
+        const reader = new FileReader();
+        reader.onload = function (e) {
+            let analysis;
+            try {
+                analysis = sessionFromJSON(e.target.result);
+            } catch (err) {
+                sessionInfo.textContent = `Could not import ${file.name}: ${err.message}`;
+                return;
+            }
+            saveAnalysis(analysis).then(record => {
+                openAnalysis(record);
+                return refreshSessionList();
+            }).catch(err => {
+                sessionInfo.textContent = `Could not import ${file.name}: ${err.message}`;
+            });
+        };
+        reader.readAsText(file);
+    }
+
+    // Rebuild the upload options from a saved session, then recalculate
+    function openAnalysis(record) {
+        const s = record.session;
+        const view = s.view || {};
+        const forecastSettings = s.forecast || {};
+
+        hideError();
+        importMode.value = s.importMode || 'grid';
+        fileName = s.fileName || '';
+        uploadedWorkbook = null;
+        gridLayout = {};
+        gridRows = null;
+        gridFinancials = null;
+        validationFixes = {};
+        workbookFinancials = null;
+        sheetSection.classList.add('hidden');
+        previewSection.classList.add('hidden');
+        validationSection.classList.add('hidden');
+        loadParsedData(s.customers, s.dates, s.dimensions || []);
+        fileInfo.textContent = `Opened "${record.name}": ${fileInfo.textContent.replace(/^Loaded: /, '')}`;
+        fileInfo.classList.remove('hidden');
+
+        // Sessions saved before the other financial inputs only kept net loss
+        fillFinancialInputs(s.financials || { netLoss: s.netLoss });
+        graceMonthsInput.value = s.graceMonths || 0;
+        setDefinitions(s.definitions);
+        if (s.currency) {
+            reportingCurrencySelect.value = s.currency.reporting;
+            buildFxTable();
+            fxMethodSelect.value = s.currency.method;
+            fxConstantMonth.value = s.currency.constantIndex;
+            fxConstantMonth.disabled = fxMethodSelect.value !== 'constant';
+            Object.keys(s.currency.rates || {}).forEach(ccy => {
+                s.currency.rates[ccy].forEach((val, i) => {
+                    const input = document.getElementById(`fx-${ccy}-${i}`);
+                    if (input && val !== null) input.value = val;
+                });
+            });
+        }
+
+        periodType.value = view.period || 'month';
+        fyStartMonth.value = view.fyStartMonth || 1;
+        cohortView.value = view.cohortView || 'mrrPct';
+        const benchmarks = s.benchmarks || {};
+        setBenchmarkSet(benchmarks.set || DEFAULT_BENCHMARKS, benchmarks.stage);
+        benchmarkShow.checked = benchmarks.show !== false;
+        forecastHorizon.value = forecastSettings.horizon || '12';
+        forecastScenario.value = forecastSettings.scenario || 'base';
+        forecastLookback.value = forecastSettings.lookback || String(FORECAST_LOOKBACK);
+
+        computedMetrics = null;
+        runCalculations();
+        if (!computedMetrics) return;
+
+        segmentDimension.value = view.segmentDimension || '';
+        populateSegmentValues();
+        segmentValue.value = view.segmentValue || '';
+        forecastOverrides = Object.assign({}, forecastSettings.overrides);
+        changePeriod();
+
+        currentAnalysisId = record.id;
+        sessionName.value = record.name;
+        sessionCompany.value = record.company || '';
+        sessionInfo.textContent = `Opened "${record.name}", saved ${new Date(record.savedAt).toLocaleString()}.`;
+        refreshSessionList();
+    }
+
+    // ===== RESTATEMENT DIFF =====
+
+    function handleDiffFile(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        const reader = new FileReader();
+        reader.onload = function (e) {
+            try {
+                const prior = readPriorVersion(e.target.result, ext);
+                const customers = convertLikeCurrent(prior.customers, prior.dates);
+                const metrics = calculateMetrics(customers, prior.dates, null, calculationInputs.options);
+                restatementDiff = diffDatasets(
+                    { customers: prior.customers, dates: prior.dates, metrics },
+                    { customers: parsedCustomerData, dates: parsedDates, metrics: computedMetrics }
+                );
+                hideError();
+                renderRestatementDiff(file.name);
+            } catch (err) {
+                showError('Error reading prior version: ' + err.message);
+            }
+        };
+        if (ext === 'csv' || ext === 'json') {
+            reader.readAsText(file);
+        } else {
+            reader.readAsArrayBuffer(file);
+        }
+    }
+
+    // The prior file is read with the current import mode and data check fixes
+    function readPriorVersion(data, ext) {
+        if (importMode.value === 'stripe') {
+            let source;
+            if (ext === 'json') {
+                source = JSON.parse(data);
+            } else {
+                const workbook = XLSX.read(data, { type: 'string', raw: true });
+                source = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+            }
+            return parseStripeExport(source);
+        }
+
+        const workbook = XLSX.read(data, { type: ext === 'csv' ? 'string' : 'array', cellDates: true });
+        const rowsOf = name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: 0 });
+        if (importMode.value === 'transactions') {
+            const { lines } = parseTransactionRows(XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' }));
+            return pivotTransactions(lines);
+        }
+
+        // The sheet with the same name as the current grid keeps its layout choices;
+        // otherwise the grid sheet is detected like a new upload
+        const current = uploadedWorkbook ? uploadedWorkbook.SheetNames[parseInt(sheetSelect.value, 10)] : null;
+        let sheetName = current;
+        let layout = gridLayout;
+        if (!workbook.SheetNames.includes(current)) {
+            const sheets = workbook.SheetNames.map(name => ({
+                name,
+                rows: rowsOf(name),
+                firstRow: workbook.Sheets[name]['!ref'] ? XLSX.utils.decode_range(workbook.Sheets[name]['!ref']).s.r : 0,
+            }));
+            const picked = pickGridSheet(sheets, workbook.Workbook && workbook.Workbook.Names);
+            sheetName = workbook.SheetNames[picked.index];
+            layout = picked.layout;
+        }
+        const { rows } = splitFinancialRows(rowsOf(sheetName), layout);
+        return parseGridRows(rows, validationFixes, layout);
+    }
+
+    // Convert with the rates entered for the current file, matched by calendar month
+    function convertLikeCurrent(customers, dates) {
+        if (billingCurrencies(customers).length === 0) return customers;
+        const key = d => d.year * 12 + d.month;
+        const current = readFxRates();
+        const rates = {};
+        Object.keys(current).forEach(ccy => {
+            const byMonth = new Map(parsedDates.map((d, i) => [key(d), current[ccy][i]]));
+            rates[ccy] = dates.map(d => byMonth.has(key(d)) ? byMonth.get(key(d)) : null);
+        });
+        const constantDate = parsedDates[parseInt(fxConstantMonth.value, 10)];
+        const constantIndex = constantDate ? dates.findIndex(d => key(d) === key(constantDate)) : -1;
+        return convertCustomerData(customers, dates, rates, {
+            reportingCurrency,
+            method: fxMethodSelect.value,
+            constantIndex: constantIndex === -1 ? dates.length - 1 : constantIndex,
+        });
+    }
+
+    function renderRestatementDiff(priorName) {
+        const diff = restatementDiff;
+        const maxRows = 200;
+        const counts = ['added', 'removed', 'renamed'].map(change => {
+            const n = diff.customers.filter(c => c.change === change).length;
+            return `${n} ${change}`;
+        });
+        let summary = `Compared with ${priorName}: customers ${counts.join(', ')}; ${diff.cells.length} restated cells; ${diff.metrics.length} metric values moved.`;
+        if (diff.months.added.length > 0) summary += ` New months: ${diff.months.added.map(d => formatDate(d)).join(', ')}.`;
+        if (diff.months.removed.length > 0) summary += ` Months no longer in the file: ${diff.months.removed.map(d => formatDate(d)).join(', ')}.`;
+        diffSummary.textContent = summary;
+
+        const moreRow = (count, cols) => count > maxRows
+            ? `<tr><td colspan="${cols}" class="results-caption">&hellip; and ${count - maxRows} more (all rows are in the export)</td></tr>`
+            : '';
+        const none = cols => `<tr><td colspan="${cols}">No changes</td></tr>`;
+
+        let html = '<thead><tr><th>Change</th><th>Customer</th><th>Previous name</th><th>Latest MRR</th></tr></thead><tbody>';
+        diff.customers.slice(0, maxRows).forEach(c => {
+            html += `<tr><td>${c.change}</td><td>${escapeHtml(c.name)}</td><td>${escapeHtml(c.previousName || '')}</td>` +
+                `<td>${formatValue(c.latestMRR, 'number', reportingCurrency)}</td></tr>`;
+        });
+        if (diff.customers.length === 0) html += none(4);
+        document.getElementById('diff-customers-table').innerHTML = html + moreRow(diff.customers.length, 4) + '</tbody>';
+
+        // Largest restatements first
+        const cells = diff.cells.slice().sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+        html = '<thead><tr><th>Customer</th><th>Month</th><th>Before</th><th>After</th><th>Change</th></tr></thead><tbody>';
+        cells.slice(0, maxRows).forEach(c => {
+            html += `<tr><td>${escapeHtml(c.customer)}</td><td>${formatDate(c.date)}</td>` +
+                `<td>${formatValue(c.before, 'number', reportingCurrency)}</td><td>${formatValue(c.after, 'number', reportingCurrency)}</td>` +
+                `<td class="${c.delta < 0 ? 'negative' : 'positive'}">${formatValue(c.delta, 'number', reportingCurrency)}</td></tr>`;
+        });
+        if (cells.length === 0) html += none(5);
+        document.getElementById('diff-cells-table').innerHTML = html + moreRow(cells.length, 5) + '</tbody>';
+
+        html = '<thead><tr><th>Metric</th><th>Month</th><th>Before</th><th>After</th></tr></thead><tbody>';
+        diff.metrics.slice(0, maxRows).forEach(m => {
+            html += `<tr><td>${m.section}: ${m.metric}</td><td>${formatDate(m.date)}</td>` +
+                `<td>${formatValue(m.before, m.fmt, reportingCurrency)}</td><td>${formatValue(m.after, m.fmt, reportingCurrency)}</td></tr>`;
+        });
+        if (diff.metrics.length === 0) html += none(4);
+        document.getElementById('diff-metrics-table').innerHTML = html + moreRow(diff.metrics.length, 4) + '</tbody>';
+
+        diffView.classList.remove('hidden');
+    }
+
+    // ===== FORECAST =====
+
+    // Projects the displayed segment's monthly bridge; overrides replace the trailing averages
+    function updateForecast() {
+        const trailing = forecastAssumptions(displayedMetrics, parseInt(forecastLookback.value, 10));
+        const assumptions = Object.assign(trailing, forecastOverrides);
+        forecastInputs.forEach(input => {
+            const val = assumptions[input.dataset.assumption];
+            input.value = input.dataset.assumption === 'newMRR' ? Math.round(val) : (val * 100).toFixed(2);
+        });
+
+        forecast = projectMRR(displayedMetrics, assumptions, {
+            months: parseInt(forecastHorizon.value, 10),
+            scenario: forecastScenario.value,
+        });
+        buildTable('forecast-table', [
+            { label: 'Begin', data: forecast.beginMRR, fmt: 'currency' },
+            { label: 'New', data: forecast.newMRR, fmt: 'currency', cls: 'positive' },
+            { label: 'Upgrade', data: forecast.upgradeMRR, fmt: 'currency', cls: 'positive' },
+            { label: 'Downgrade', data: forecast.downgradeMRR, fmt: 'currency', cls: 'negative' },
+            { label: 'Churn', data: forecast.churnMRR, fmt: 'currency', cls: 'negative' },
+            { label: 'End', data: forecast.endMRR, fmt: 'currency', total: true },
+            { label: 'ARR', data: forecast.arr, fmt: 'currency' },
+        ], forecast.dates.map(d => formatDate(d)), 0);
+    }
+
+    function refreshForecast() {
+        if (!displayedMetrics) return;
+        updateForecast();
+        renderResults(periodView(displayedMetrics));
+    }
+
+    // Projected months are only drawn on the monthly charts
+    function chartForecast(m) {
+        return !m.periods && forecastCharts.checked ? forecast : null;
+    }
+
+    // Per-bar colours: projected months are drawn faded
+    function forecastColors(color, actualCount, projection) {
+        if (!projection) return color;
+        return Array.from({ length: actualCount + projection.dates.length }, (_, i) => i < actualCount ? color : color + '59');
+    }
+
+    // ===== CUSTOMERS =====
+
+    function showResultsView(viewId) {
+        resultsTabs.forEach(tab => {
+            const selected = tab.dataset.view === viewId;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', selected);
+            document.getElementById(tab.dataset.view).classList.toggle('hidden', !selected);
+        });
+    }
+
+    // The customers behind displayedMetrics, in the same order as its movement records
+    function displayedCustomers() {
+        const dimension = segmentDimension.value;
+        const value = segmentValue.value;
+        return dimension && value
+            ? calculationInputs.customers.filter(c => c.attributes[dimension] === value)
+            : calculationInputs.customers;
+    }
+
+    function refreshCustomers() {
+        customerList = customerSummaries(displayedCustomers(), displayedMetrics);
+        customerDetailSection.classList.add('hidden');
+        renderCustomerList();
+    }
+
+    // Searchable, sortable list, capped so big files stay responsive
+    function renderCustomerList() {
+        const maxRows = 500;
+        const query = customerSearch.value.trim().toLowerCase();
+        const status = customerStatus.value;
+        const { key, dir } = customerSort;
+        const rows = customerList
+            .filter(c => (!query || c.name.toLowerCase().includes(query)) && (!status || c.status === status))
+            .sort((a, b) => {
+                const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+                return order * dir || a.name.localeCompare(b.name);
+            });
+
+        const dates = displayedMetrics.dates;
+        let html = '<thead><tr>';
+        CUSTOMER_COLUMNS.forEach(col => {
+            const sort = col.key === key ? ` aria-sort="${dir > 0 ? 'ascending' : 'descending'}"` : '';
+            html += `<th data-sort="${col.key}"${sort}>${col.label}</th>`;
+        });
+        html += '<th>Trend</th></tr></thead><tbody>';
+        rows.slice(0, maxRows).forEach(c => {
+            html += `<tr data-customer="${c.index}">`;
+            CUSTOMER_COLUMNS.forEach(col => {
+                const val = c[col.key];
+                if (col.key === 'status') html += `<td class="status-${val}">${CUSTOMER_STATUS[val]}</td>`;
+                else if (col.fmt === 'month') html += `<td>${val >= 0 ? formatDate(dates[val]) : '-'}</td>`;
+                else if (col.fmt) html += `<td>${formatValue(val, col.fmt, reportingCurrency)}</td>`;
+                else html += `<td>${escapeHtml(val)}</td>`;
+            });
+            html += `<td class="sparkline-cell">${sparkline(c.revenue)}</td></tr>`;
+        });
+        customerListTable.innerHTML = html + '</tbody>';
+
+        let caption = `${rows.length} of ${customerList.length} customers`;
+        if (segmentDimension.value && segmentValue.value) caption += ` in ${segmentDimension.value}: ${segmentValue.value}`;
+        caption += ', monthly MRR in the reporting currency. Click a customer for its timeline.';
+        if (rows.length > maxRows) caption += ` Showing the first ${maxRows}; search to narrow the list.`;
+        customerListCaption.textContent = caption;
+    }
 
-        // Gather net loss data
-        const netLossData = [];
-        let hasAnyNetLoss = false;
-        for (let i = 0; i < parsedDates.length; i++) {
-            const input = document.getElementById(`net-loss-${i}`);
-            const val = input && input.value !== '' ? parseFloat(input.value) : null;
-            netLossData.push(val);
-            if (val !== null) hasAnyNetLoss = true;
-        }
+    // Inline SVG line of a customer's monthly MRR, scaled to its own peak
+    function sparkline(values) {
+        const width = 100;
+        const height = 22;
+        const peak = Math.max(...values);
+        if (!(peak > 0) || values.length < 2) return '';
+        const points = values.map((v, i) => {
+            const x = (i / (values.length - 1)) * width;
+            const y = height - 1 - (v / peak) * (height - 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"><polyline points="${points}"/></svg>`;
+    }
 
-        computedMetrics = calculateMetrics(
-            parsedCustomerData,
-            parsedDates,
-            hasAnyNetLoss ? netLossData : null
-        );
+    function showCustomerDetail(index) {
+        const c = customerList[index];
+        const m = displayedMetrics;
+        const labels = m.dates.map(d => formatDate(d));
+        const timeline = customerTimeline(m, index);
+
+        document.getElementById('customer-detail-title').textContent = c.name;
+        const parts = [CUSTOMER_STATUS[c.status]];
+        if (c.first >= 0) parts.push(`first revenue ${labels[c.first]}, last ${labels[c.last]}`);
+        parts.push(`${c.tenure} month${c.tenure === 1 ? '' : 's'} active`);
+        parts.push(`current MRR ${formatCurrency(c.currentMRR, reportingCurrency)}`);
+        parts.push(`peak ${formatCurrency(c.peakMRR, reportingCurrency)}`);
+        parts.push(`lifetime revenue ${formatCurrency(c.lifetimeRevenue, reportingCurrency)}`);
+        document.getElementById('customer-detail-summary').textContent = parts.join(' \u00b7 ');
+
+        // Movements other than retained months, newest first
+        const table = document.getElementById('customer-detail-table');
+        let html = '<thead><tr><th>Month</th><th>Movement</th><th>Previous MRR</th><th>MRR</th><th>Change</th></tr></thead><tbody>';
+        timeline.filter(t => t.type !== 'flat').reverse().forEach(t => {
+            const cls = t.delta > 0 ? 'positive' : t.delta < 0 ? 'negative' : '';
+            html += `<tr><td>${formatDate(t.date)}</td><td>${MOVEMENT_LABELS[t.type]}</td>`;
+            html += `<td>${formatCurrency(t.prev, reportingCurrency)}</td><td>${formatCurrency(t.curr, reportingCurrency)}</td>`;
+            html += `<td class="${cls}">${formatCurrency(t.delta, reportingCurrency)}</td></tr>`;
+        });
+        table.innerHTML = html + '</tbody>';
 
-        renderResults(computedMetrics);
-        resultsSection.classList.remove('hidden');
+        renderCustomerDetailChart(c, labels, timeline);
+        customerDetailSection.classList.remove('hidden');
+        customerDetailSection.scrollIntoView({ behavior: 'smooth' });
+    }
 
-        // Scroll to results
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    // Monthly MRR as a line, each month's movement as a bar coloured by its type
+    function renderCustomerDetailChart(c, labels, timeline) {
+        if (customerDetailChart) customerDetailChart.destroy();
+        const types = labels.map(() => null);
+        const changes = labels.map(() => null);
+        timeline.forEach(t => {
+            types[t.month] = t.type;
+            if (t.type !== 'flat') changes[t.month] = t.delta;
+        });
+        const ctx = document.getElementById('customer-detail-chart').getContext('2d');
+        customerDetailChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'MRR',
+                        data: c.revenue,
+                        type: 'line',
+                        borderColor: '#1b4332',
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 1,
+                        order: -1,
+                    },
+                    {
+                        label: 'Movement',
+                        data: changes,
+                        backgroundColor: types.map(type => MOVEMENT_COLORS[type] || MOVEMENT_COLORS.flat),
+                    },
+                ],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
+                    y: {
+                        ticks: {
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
+                            font: { size: 10 },
+                        },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => ctx.datasetIndex === 0
+                                ? `MRR: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`
+                                : `${MOVEMENT_LABELS[types[ctx.dataIndex]]}: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`,
+                        },
+                    },
+                    legend: { display: false },
+                },
+            },
+        });
     }
 
     // ===== RENDERING =====
 
     function renderResults(m) {
+        renderedMetrics = m;
+
         // Destroy old charts
         chartInstances.forEach(c => c.destroy());
         chartInstances = [];
 
-        const labels = m.dates.map(d => formatDate(d));
-        // Find first month with activity for display
+        const labels = periodLabels(m);
+        // Find first period with activity for display
         const firstActive = m.endMRR.findIndex(v => v > 0);
         const start = Math.max(0, firstActive);
+        definitionsCaption.textContent = 'Definitions: ' +
+            definitionRows(m.definitions).concat(graceRow(m.graceMonths) || []).map(row => `${row.label} ${row.value}`).join('; ') + '.';
+        renderBenchmarks(m);
 
         renderMRRBridgeTable(m, labels, start);
         renderGrowthTable(m, labels, start);
         renderRetentionTable(m, labels, start);
+        renderCohortTable(m);
         renderUDCTable(m, labels, start);
+
+        const hasProducts = m.products.length > 0;
+        productSection.classList.toggle('hidden', !hasProducts);
+        if (hasProducts) {
+            const selected = productSelect.value;
+            productSelect.innerHTML = m.products.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+            if (m.products.includes(selected)) productSelect.value = selected;
+            renderProductBridgeTable(m, labels);
+        }
         renderCustomerTable(m, labels, start);
+        renderConcentrationTable(m, labels, start);
 
-        if (m.netLoss) {
+        if (efficiencyRows(m).length > 0) {
             efficiencySection.classList.remove('hidden');
             renderEfficiencyTable(m, labels, start);
         } else {
             efficiencySection.classList.add('hidden');
         }
 
+        const hasUnitEconomics = unitEconomicsRows(m).length > 0;
+        unitEconomicsSection.classList.toggle('hidden', !hasUnitEconomics);
+        if (hasUnitEconomics) renderUnitEconomicsTable(m, labels, start);
+
         // Charts
         renderMRRBridgeChart(m, labels, start);
         renderARRChart(m, labels, start);
         renderRetentionChart(m, labels, start);
+        if (hasProducts) renderProductChart(m, labels, start);
         renderCustomerChart(m, labels, start);
+        renderSizeBandChart(m, labels, start);
+        renderParetoChart(m, labels);
+        if (hasUnitEconomics) renderUnitEconomicsChart(m, labels, start);
     }
 
     // ===== TABLE RENDERERS =====
 
     function renderMRRBridgeTable(m, labels, start) {
-        const rows = [
-            { label: 'Begin', data: m.beginMRR, fmt: 'currency' },
-            { label: 'New', data: m.newMRR, fmt: 'currency', cls: 'positive' },
-            { label: 'Upgrade', data: m.upgradeMRR, fmt: 'currency', cls: 'positive' },
-            { label: 'Downgrade', data: m.downgradeMRR, fmt: 'currency', cls: 'negative' },
-            { label: 'Churn', data: m.churnMRR, fmt: 'currency', cls: 'negative' },
-            { label: 'End', data: m.endMRR, fmt: 'currency', total: true },
-        ];
-        buildTable('mrr-bridge-table', rows, labels, start);
+        buildTable('mrr-bridge-table', bridgeRows(m), labels, start);
     }
 
     function renderGrowthTable(m, labels, start) {
-        const rows = [
-            { label: 'ARR', data: m.arr, fmt: 'currency' },
-            { label: 'MRR', data: m.mrr, fmt: 'currency' },
-            { label: 'New ARR (TTM)', data: m.newARR, fmt: 'currency' },
-            { label: 'YOY Growth', data: m.yoyGrowth, fmt: 'percent' },
-            { label: 'Max Customer Win', data: m.maxCustomerWin, fmt: 'currency' },
-            { label: 'Avg Customer Win', data: m.avgCustomerWin, fmt: 'currency' },
-        ];
-        buildTable('growth-table', rows, labels, start);
+        buildTable('growth-table', growthRows(m), labels, start);
     }
 
     function renderRetentionTable(m, labels, start) {
-        const rows = [
-            { label: 'Net New MRR', data: m.netNewMRR, fmt: 'currency' },
-            { label: 'TTM NDR', data: m.ttmNDR, fmt: 'percent' },
-            { label: 'TTM GDR', data: m.ttmGDR, fmt: 'percent' },
-            { label: 'Cohort NDR', data: m.cohortNDR, fmt: 'percent' },
-            { label: 'Cohort GDR', data: m.cohortGDR, fmt: 'percent' },
-        ];
-        buildTable('retention-table', rows, labels, start);
+        buildTable('retention-table', retentionRows(m), labels, start);
+    }
+
+    // Bridge of the selected product, from the first period it has revenue
+    function renderProductBridgeTable(m, labels) {
+        const bridge = m.productBridges.find(b => b.product === productSelect.value) || m.productBridges[0];
+        const start = Math.max(0, bridge.endMRR.findIndex(v => v > 0));
+        buildTable('product-bridge-table', productBridgeRows(bridge), labels, start);
     }
 
     function renderUDCTable(m, labels, start) {
-        const rows = [
-            { label: 'Upgrades (#)', data: m.upgradeCount, fmt: 'number' },
-            { label: 'Downgrades (#)', data: m.downgradeCount, fmt: 'number' },
-            { label: 'Max Upgrade', data: m.maxUpgrade, fmt: 'currency' },
-            { label: 'Avg Upgrade', data: m.avgUpgrade, fmt: 'currency' },
-            { label: 'Max Downgrade', data: m.maxDowngrade, fmt: 'currency' },
-            { label: 'Avg Downgrade', data: m.avgDowngrade, fmt: 'currency' },
-            { label: 'Max Churn', data: m.maxChurn, fmt: 'currency' },
-            { label: 'Avg Churn', data: m.avgChurn, fmt: 'currency' },
-        ];
-        buildTable('udc-table', rows, labels, start);
+        buildTable('udc-table', udcRows(m), labels, start);
     }
 
     function renderCustomerTable(m, labels, start) {
-        const rows = [
-            { label: 'Begin', data: m.beginCustomers, fmt: 'number' },
-            { label: 'New', data: m.newCustomers, fmt: 'number' },
-            { label: 'Churn', data: m.churnedCustomers, fmt: 'number' },
-            { label: 'End', data: m.endCustomers, fmt: 'number', total: true },
-            { label: 'ACV', data: m.acv, fmt: 'currency' },
-            { label: 'Largest Customer', data: m.largestCustomer, fmt: 'currency' },
-            { label: 'Max Concentration', data: m.maxConcentration, fmt: 'percent' },
-            { label: 'Gross Cust. Retention (TTM)', data: m.grossCustomerRetention, fmt: 'percent' },
-            { label: 'Customer Growth (YOY)', data: m.customerGrowth, fmt: 'percent' },
-        ];
-        buildTable('customer-table', rows, labels, start);
+        buildTable('customer-table', customerRows(m), labels, start);
+    }
+
+    function renderConcentrationTable(m, labels, start) {
+        buildTable('concentration-table', concentrationRows(m), labels, start);
     }
 
     function renderEfficiencyTable(m, labels, start) {
-        const rows = [
-            { label: 'Net Loss', data: m.netLoss, fmt: 'currency' },
-            { label: 'TTM New ARR / TTM Net Loss', data: m.ttmNewARRoverLoss, fmt: 'ratio' },
-            { label: 'Payback Period (TTM)', data: m.ttmPayback, fmt: 'ratio' },
-            { label: '6mo New ARR / 6mo Net Loss', data: m.sixMoNewARRoverLoss, fmt: 'ratio' },
-            { label: 'Payback Period (6mo)', data: m.sixMoPayback, fmt: 'ratio' },
-        ];
-        buildTable('efficiency-table', rows, labels, start);
+        buildTable('efficiency-table', efficiencyRows(m), labels, start);
+    }
+
+    function renderUnitEconomicsTable(m, labels, start) {
+        buildTable('unit-economics-table', unitEconomicsRows(m), labels, start);
+    }
+
+    function renderCohortTable(m) {
+        const view = cohortView.value;
+        const fmt = view === 'mrr' ? 'currency' : view === 'customers' ? 'number' : 'percent';
+        const pctKey = view === 'mrr' || view === 'mrrPct' ? 'mrrPct' : 'customersPct';
+        const maxAge = m.cohorts.reduce((max, c) => Math.max(max, c.mrr.length), 0);
+
+        const table = document.getElementById('cohort-table');
+        table.innerHTML = '';
+
+        // Header
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headerRow.innerHTML = '<th>Cohort</th><th>Customers</th><th>Starting MRR</th>';
+        for (let k = 0; k < maxAge; k++) {
+            headerRow.innerHTML += `<th>${cohortAgeLabel(m, k)}</th>`;
+        }
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        // Body: one row per acquisition cohort, shaded by % of starting value
+        const tbody = document.createElement('tbody');
+        m.cohorts.forEach(cohort => {
+            const tr = document.createElement('tr');
+            let html = `<td>${cohortLabel(m, cohort)}</td>`;
+            html += `<td>${formatValue(cohort.startCustomers, 'number', reportingCurrency)}</td>`;
+            html += `<td>${formatCurrency(cohort.startMRR, reportingCurrency)}</td>`;
+            for (let k = 0; k < maxAge; k++) {
+                if (k >= cohort[view].length) {
+                    html += '<td></td>';
+                    continue;
+                }
+                const pct = cohort[pctKey][k];
+                html += `<td class="heat-cell" style="background:${heatColor(pct)}">${formatValue(cohort[view][k], fmt, reportingCurrency)}</td>`;
+            }
+            tr.innerHTML = html;
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+    }
+
+    function heatColor(pct) {
+        if (pct === null || pct === undefined) return 'transparent';
+        // Shade from red (0%) through amber (50%) to green (100%+)
+        const clamped = Math.max(0, Math.min(pct, 1));
+        if (clamped >= 0.5) {
+            const alpha = 0.12 + (clamped - 0.5) * 0.8;
+            return `rgba(64, 145, 108, ${alpha.toFixed(2)})`;
+        }
+        const alpha = 0.12 + (0.5 - clamped) * 0.6;
+        return `rgba(193, 18, 31, ${alpha.toFixed(2)})`;
     }
 
     function buildTable(tableId, rows, labels, start) {
@@ -368,19 +2094,98 @@
             let html = `<td>${row.label}</td>`;
             for (let i = start; i < labels.length; i++) {
                 const val = row.data[i];
-                const formatted = formatValue(val, row.fmt);
+                let formatted = formatValue(val, row.fmt, reportingCurrency);
+                if (row.benchmark && i === labels.length - 1) formatted += benchmarkBadge(row.benchmark);
                 let cls = '';
                 if (row.cls) {
                     cls = row.cls;
                 } else if (row.fmt === 'currency' && typeof val === 'number') {
                     cls = val > 0 ? '' : val < 0 ? 'negative' : '';
                 }
-                html += `<td class="${cls}">${formatted}</td>`;
+                if (row.drill) {
+                    cls += ' drillable';
+                    html += `<td class="${cls}" data-drill="${row.drill}" data-month="${i}" data-label="${row.label}">${formatted}</td>`;
+                } else {
+                    html += `<td class="${cls}">${formatted}</td>`;
+                }
             }
             tr.innerHTML = html;
             tbody.appendChild(tr);
         });
         table.appendChild(tbody);
+
+        table.onclick = e => {
+            const td = e.target.closest('td.drillable');
+            if (!td) return;
+            openDrillPanel(renderedMetrics, td.dataset.drill, parseInt(td.dataset.month, 10), td.dataset.label, labels);
+        };
+    }
+
+    // ===== CUSTOMER DRILL-DOWN =====
+
+    function openDrillPanel(m, drill, monthIdx, rowLabel, labels) {
+        const types = DRILL_TYPES[drill];
+        let records = m.movements[monthIdx].filter(r => types.includes(r.type));
+        // A rolled-up period opens on its first month and closes on its last
+        if (m.periods && (drill === 'begin' || drill === 'end')) {
+            const period = m.periods[monthIdx];
+            const month = drill === 'begin' ? period.start : period.end;
+            records = records.filter(r => r.month === month);
+        }
+
+        // Stock rows are ranked by balance, flow rows by size of the movement
+        if (drill === 'begin') {
+            records.sort((a, b) => b.prev - a.prev);
+        } else if (drill === 'end') {
+            records.sort((a, b) => b.curr - a.curr);
+        } else {
+            records.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+        }
+
+        const totals = records.reduce((t, r) => {
+            t.prev += r.prev;
+            t.curr += r.curr;
+            t.delta += r.delta;
+            return t;
+        }, { prev: 0, curr: 0, delta: 0 });
+
+        drillTitle.textContent = `${rowLabel} \u2014 ${labels[monthIdx]}`;
+        drillSummary.textContent = `${records.length} customer${records.length === 1 ? '' : 's'}`;
+
+        const table = document.getElementById('drill-table');
+        table.innerHTML = '';
+
+        const thead = document.createElement('thead');
+        thead.innerHTML = '<tr><th>Customer</th><th>Previous MRR</th><th>Current MRR</th><th>Change</th><th>Classification</th></tr>';
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        records.forEach(r => {
+            const tr = document.createElement('tr');
+            const deltaCls = r.delta > 0 ? 'positive' : r.delta < 0 ? 'negative' : '';
+            tr.innerHTML = `<td>${escapeHtml(r.name)}</td>` +
+                `<td>${formatCurrency(r.prev, reportingCurrency)}</td>` +
+                `<td>${formatCurrency(r.curr, reportingCurrency)}</td>` +
+                `<td class="${deltaCls}">${formatCurrency(r.delta, reportingCurrency)}</td>` +
+                `<td>${MOVEMENT_LABELS[r.type]}${r.product ? `: ${escapeHtml(r.product)}` : ''}${r.date ? ` (${formatDate(r.date)})` : ''}</td>`;
+            tbody.appendChild(tr);
+        });
+        const totalRow = document.createElement('tr');
+        totalRow.className = 'total-row';
+        totalRow.innerHTML = '<td>Total</td>' +
+            `<td>${formatCurrency(totals.prev, reportingCurrency)}</td>` +
+            `<td>${formatCurrency(totals.curr, reportingCurrency)}</td>` +
+            `<td>${formatCurrency(totals.delta, reportingCurrency)}</td>` +
+            '<td></td>';
+        tbody.appendChild(totalRow);
+        table.appendChild(tbody);
+
+        drillPanel.classList.remove('hidden');
+        drillClose.focus();
+    }
+
+    function closeDrillPanel() {
+        drillPanel.classList.add('hidden');
     }
 
     // ===== CHART RENDERERS =====
@@ -388,23 +2193,42 @@
     function renderMRRBridgeChart(m, labels, start) {
         const ctx = document.getElementById('mrr-bridge-chart').getContext('2d');
         const slicedLabels = labels.slice(start);
+        // Projected months continue the bars (faded) and the End MRR line (dashed)
+        const projection = chartForecast(m);
+        const actualCount = slicedLabels.length;
+        const series = (key, projected) => projection
+            ? m[key].slice(start).concat(projected || projection[key])
+            : m[key].slice(start);
         const chart = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: slicedLabels,
+                labels: projection ? slicedLabels.concat(projection.dates.map(d => formatDate(d))) : slicedLabels,
                 datasets: [
-                    { label: 'New', data: m.newMRR.slice(start), backgroundColor: '#40916c', stack: 'gains' },
-                    { label: 'Upgrade', data: m.upgradeMRR.slice(start), backgroundColor: '#95d5b2', stack: 'gains' },
-                    { label: 'Downgrade', data: m.downgradeMRR.slice(start), backgroundColor: '#e09f3e', stack: 'losses' },
-                    { label: 'Churn', data: m.churnMRR.slice(start), backgroundColor: '#c1121f', stack: 'losses' },
+                    { label: 'New', data: series('newMRR'), backgroundColor: forecastColors('#40916c', actualCount, projection), stack: 'gains' },
+                    {
+                        label: 'Reactivation',
+                        data: series('reactivationMRR', projection && projection.dates.map(() => null)),
+                        backgroundColor: '#74c69d',
+                        stack: 'gains',
+                    },
+                    ...(m.products.length > 0 ? [{
+                        label: 'Cross-sell',
+                        data: series('crossSellMRR', projection && projection.dates.map(() => null)),
+                        backgroundColor: '#2d6a4f',
+                        stack: 'gains',
+                    }] : []),
+                    { label: 'Upgrade', data: series('upgradeMRR'), backgroundColor: forecastColors('#95d5b2', actualCount, projection), stack: 'gains' },
+                    { label: 'Downgrade', data: series('downgradeMRR'), backgroundColor: forecastColors('#e09f3e', actualCount, projection), stack: 'losses' },
+                    { label: 'Churn', data: series('churnMRR'), backgroundColor: forecastColors('#c1121f', actualCount, projection), stack: 'losses' },
                     {
                         label: 'End MRR',
-                        data: m.endMRR.slice(start),
+                        data: series('endMRR'),
                         type: 'line',
                         borderColor: '#1b4332',
                         backgroundColor: 'transparent',
                         borderWidth: 2,
                         pointRadius: 1,
+                        segment: { borderDash: seg => seg.p1DataIndex >= actualCount ? [6, 4] : undefined },
                         yAxisID: 'y',
                         order: -1,
                     },
@@ -418,7 +2242,7 @@
                     x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
                     y: {
                         ticks: {
-                            callback: v => '$' + abbreviateNumber(v),
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
                             font: { size: 10 },
                         },
                     },
@@ -426,7 +2250,7 @@
                 plugins: {
                     tooltip: {
                         callbacks: {
-                            label: ctx => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}`,
+                            label: ctx => `${ctx.dataset.label}${ctx.dataIndex >= actualCount ? ' (forecast)' : ''}: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`,
                         },
                     },
                     legend: { position: 'top', labels: { font: { size: 11 } } },
@@ -439,20 +2263,37 @@
     function renderARRChart(m, labels, start) {
         const ctx = document.getElementById('arr-chart').getContext('2d');
         const slicedLabels = labels.slice(start);
+        const projection = chartForecast(m);
+        const actualCount = slicedLabels.length;
+        // ARR a year on from the prior year's at the benchmark P25-P75 and median growth
+        const band = benchmarkShow.checked ? arrBenchmarkSeries(m, benchmarkSet, benchmarkStageSelect.value) : null;
+        const hasBand = band && band.median.slice(start).some(v => v !== null);
+        const pad = projection ? projection.dates.length : 0;
         const chart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: slicedLabels,
+                labels: projection ? slicedLabels.concat(projection.dates.map(d => formatDate(d))) : slicedLabels,
                 datasets: [
                     {
                         label: 'ARR',
-                        data: m.arr.slice(start),
+                        data: projection ? m.arr.slice(start).concat(projection.arr) : m.arr.slice(start),
                         borderColor: '#2d6a4f',
                         backgroundColor: 'rgba(45, 106, 79, 0.08)',
                         fill: true,
                         borderWidth: 2,
                         pointRadius: 1,
+                        segment: { borderDash: seg => seg.p1DataIndex >= actualCount ? [6, 4] : undefined },
                     },
+                    ...(hasBand ? benchmarkBandDatasets('Benchmark growth (P25-P75)', band, start, 'rgba(82, 183, 136, 0.18)', pad).concat([{
+                        label: 'Benchmark growth (median)',
+                        data: band.median.slice(start).concat(new Array(pad).fill(null)),
+                        borderColor: '#74c69d',
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                        fill: false,
+                        benchmarkBand: true,
+                    }]) : []),
                 ],
             },
             options: {
@@ -462,7 +2303,7 @@
                     x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
                     y: {
                         ticks: {
-                            callback: v => '$' + abbreviateNumber(v),
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
                             font: { size: 10 },
                         },
                     },
@@ -470,10 +2311,11 @@
                 plugins: {
                     tooltip: {
                         callbacks: {
-                            label: ctx => `ARR: ${formatCurrency(ctx.parsed.y)}`,
+                            label: ctx => `ARR${ctx.dataIndex >= actualCount ? ' (forecast)' : ''}: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`,
                         },
+                        filter: hideBenchmarkBand,
                     },
-                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                    legend: { position: 'top', labels: { font: { size: 11 }, filter: hideBenchmarkEdge } },
                 },
             },
         });
@@ -482,30 +2324,42 @@
 
     function renderRetentionChart(m, labels, start) {
         const ctx = document.getElementById('retention-chart').getContext('2d');
-        // Only show from first non-null NDR
-        const retStart = Math.max(start, m.ttmNDR.findIndex(v => v !== null));
+        // Only show from first non-null NDR, whichever window is shorter
+        const firsts = [m.ttmNDR, m.cohortNDR].map(series => series.findIndex(v => v !== null)).filter(i => i !== -1);
+        const retStart = Math.max(start, firsts.length > 0 ? Math.min(...firsts) : -1);
         const slicedLabels = labels.slice(retStart);
+        // Dataset labels follow the metric definitions, as in the table
+        const rows = retentionRows(m);
+        const label = series => rows.find(row => row.data === series).label;
+        // Benchmark P25-P75 bands behind the headline NDR and TTM GDR lines, when the window matches
+        const bands = [['ttmNDR', 'rgba(27, 67, 50, 0.12)'], ['ttmGDR', 'rgba(224, 159, 62, 0.15)']].map(([key, color]) => {
+            if (!benchmarkShow.checked) return [];
+            const band = benchmarkSeries(m, benchmarkSet, key, benchmarkStageSelect.value);
+            return band.low.slice(retStart).some(v => v !== null)
+                ? benchmarkBandDatasets(`${label(m[benchmarkedSeries(key, m)])} benchmark (P25-P75)`, band, retStart, color)
+                : [];
+        });
         const chart = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: slicedLabels,
                 datasets: [
                     {
-                        label: 'TTM NDR',
+                        label: label(m.ttmNDR),
                         data: m.ttmNDR.slice(retStart),
                         borderColor: '#1b4332',
                         borderWidth: 2,
                         pointRadius: 1,
                     },
                     {
-                        label: 'TTM GDR',
+                        label: label(m.ttmGDR),
                         data: m.ttmGDR.slice(retStart),
                         borderColor: '#e09f3e',
                         borderWidth: 2,
                         pointRadius: 1,
                     },
                     {
-                        label: 'Cohort NDR',
+                        label: label(m.cohortNDR),
                         data: m.cohortNDR.slice(retStart),
                         borderColor: '#52b788',
                         borderWidth: 2,
@@ -513,13 +2367,15 @@
                         borderDash: [5, 5],
                     },
                     {
-                        label: 'Cohort GDR',
+                        label: label(m.cohortGDR),
                         data: m.cohortGDR.slice(retStart),
                         borderColor: '#c1121f',
                         borderWidth: 2,
                         pointRadius: 1,
                         borderDash: [5, 5],
                     },
+                    ...bands[0],
+                    ...bands[1],
                 ],
             },
             options: {
@@ -539,8 +2395,9 @@
                         callbacks: {
                             label: ctx => `${ctx.dataset.label}: ${(ctx.parsed.y * 100).toFixed(1)}%`,
                         },
+                        filter: hideBenchmarkBand,
                     },
-                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                    legend: { position: 'top', labels: { font: { size: 11 }, filter: hideBenchmarkEdge } },
                 },
             },
         });
@@ -555,8 +2412,9 @@
             data: {
                 labels: slicedLabels,
                 datasets: [
-                    { label: 'New', data: m.newCustomers.slice(start), backgroundColor: '#40916c' },
-                    { label: 'Churn', data: m.churnedCustomers.slice(start), backgroundColor: '#c1121f' },
+                    { label: 'New', data: m.newCustomers.slice(start), backgroundColor: '#40916c', stack: 'gains' },
+                    { label: 'Reactivated', data: m.reactivatedCustomers.slice(start), backgroundColor: '#74c69d', stack: 'gains' },
+                    { label: 'Churn', data: m.churnedCustomers.slice(start), backgroundColor: '#c1121f', stack: 'losses' },
                     {
                         label: 'End Customers',
                         data: m.endCustomers.slice(start),
@@ -586,114 +2444,260 @@
         chartInstances.push(chart);
     }
 
+    // End MRR stacked by product line
+    function renderProductChart(m, labels, start) {
+        const ctx = document.getElementById('product-chart').getContext('2d');
+        const colors = ['#1b4332', '#2d6a4f', '#40916c', '#52b788', '#74c69d', '#95d5b2', '#b7e4c7', '#e09f3e'];
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels.slice(start),
+                datasets: m.productBridges.map((bridge, i) => ({
+                    label: bridge.product,
+                    data: bridge.endMRR.slice(start),
+                    backgroundColor: colors[i % colors.length],
+                    stack: 'mrr',
+                })),
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
+                    y: {
+                        ticks: {
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
+                            font: { size: 10 },
+                        },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`,
+                        },
+                    },
+                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                },
+            },
+        });
+        chartInstances.push(chart);
+    }
+
+    // ARR by ACV band, stacked, with the number of customers in each band in the tooltip
+    function renderSizeBandChart(m, labels, start) {
+        const ctx = document.getElementById('size-band-chart').getContext('2d');
+        const colors = ['#b7e4c7', '#74c69d', '#40916c', '#1b4332'];
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels.slice(start),
+                datasets: m.sizeBands.map((band, i) => ({
+                    label: band.label,
+                    data: band.arr.slice(start),
+                    backgroundColor: colors[i],
+                    stack: 'arr',
+                })),
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
+                    y: {
+                        ticks: {
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
+                            font: { size: 10 },
+                        },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => {
+                                const count = m.sizeBands[ctx.datasetIndex].customers[start + ctx.dataIndex];
+                                return `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y, reportingCurrency)} (${count} customer${count === 1 ? '' : 's'})`;
+                            },
+                        },
+                    },
+                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                },
+            },
+        });
+        chartInstances.push(chart);
+    }
+
+    // Cumulative share of ARR against share of customers at the last month or
+    // period, with the diagonal of an evenly spread book for reference
+    function renderParetoChart(m, labels) {
+        const last = labels.length - 1;
+        const curve = paretoCurve(m, last);
+        const caption = document.getElementById('concentration-caption');
+        const top20 = curve.length > 0 ? m.top20Share[last] : null;
+        caption.textContent = curve.length > 0
+            ? `${labels[last]}: ${formatValue(customersForShare(curve, 0.8), 'percent')} of customers hold 80% of ARR; the top 20 hold ${formatValue(top20, 'percent')}.`
+            : '';
+
+        const ctx = document.getElementById('pareto-chart').getContext('2d');
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: `ARR by customer \u2014 ${labels[last]}`,
+                        data: [{ x: 0, y: 0 }, ...curve.map(p => ({ x: p.customerShare, y: p.arrShare }))],
+                        borderColor: '#1b4332',
+                        backgroundColor: 'rgba(27, 67, 50, 0.08)',
+                        fill: true,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                    },
+                    {
+                        label: 'Even distribution',
+                        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                        borderColor: '#adb5bd',
+                        borderWidth: 1,
+                        borderDash: [5, 5],
+                        pointRadius: 0,
+                    },
+                ],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: 1,
+                        title: { display: true, text: 'Share of customers', font: { size: 11 } },
+                        ticks: { callback: v => (v * 100).toFixed(0) + '%', font: { size: 10 } },
+                    },
+                    y: {
+                        min: 0,
+                        max: 1,
+                        title: { display: true, text: 'Cumulative share of ARR', font: { size: 11 } },
+                        ticks: { callback: v => (v * 100).toFixed(0) + '%', font: { size: 10 } },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            title: items => {
+                                const point = curve[items[0].dataIndex - 1];
+                                return point && items[0].datasetIndex === 0 ? `#${point.rank} ${point.name}` : '';
+                            },
+                            label: ctx => `${(ctx.parsed.x * 100).toFixed(1)}% of customers: ${(ctx.parsed.y * 100).toFixed(1)}% of ARR`,
+                        },
+                    },
+                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                },
+            },
+        });
+        chartInstances.push(chart);
+    }
+
+    // LTV and CAC in currency, LTV / CAC on its own axis
+    function renderUnitEconomicsChart(m, labels, start) {
+        const ctx = document.getElementById('unit-economics-chart').getContext('2d');
+        const series = m.ltv || m.newLogoCAC;
+        const ueStart = Math.max(start, series.findIndex(v => v !== null));
+        const datasets = [];
+        if (m.ltv) {
+            datasets.push({ label: 'LTV', data: m.ltv.slice(ueStart), borderColor: '#1b4332', borderWidth: 2, pointRadius: 1 });
+        }
+        if (m.newLogoCAC) {
+            datasets.push(
+                { label: 'New-Logo CAC', data: m.newLogoCAC.slice(ueStart), borderColor: '#e09f3e', borderWidth: 2, pointRadius: 1 },
+                { label: 'Blended CAC', data: m.blendedCAC.slice(ueStart), borderColor: '#e09f3e', borderWidth: 2, pointRadius: 1, borderDash: [5, 5] }
+            );
+        }
+        if (m.ltvToCAC) {
+            datasets.push({ label: 'LTV / CAC', data: m.ltvToCAC.slice(ueStart), borderColor: '#52b788', borderWidth: 2, pointRadius: 1, yAxisID: 'y1' });
+        }
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: { labels: labels.slice(ueStart), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 20, font: { size: 10 } } },
+                    y: {
+                        ticks: {
+                            callback: v => currencySymbol(reportingCurrency) + abbreviateNumber(v),
+                            font: { size: 10 },
+                        },
+                    },
+                    y1: {
+                        display: !!m.ltvToCAC,
+                        position: 'right',
+                        grid: { drawOnChartArea: false },
+                        ticks: { callback: v => v + 'x', font: { size: 10 } },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => ctx.dataset.yAxisID === 'y1'
+                                ? `${ctx.dataset.label}: ${formatValue(ctx.parsed.y, 'ratio')}`
+                                : `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y, reportingCurrency)}`,
+                        },
+                    },
+                    legend: { position: 'top', labels: { font: { size: 11 } } },
+                },
+            },
+        });
+        chartInstances.push(chart);
+    }
+
     // ===== EXPORT =====
 
     function exportResults() {
         if (!computedMetrics) return;
 
-        const m = computedMetrics;
-        const labels = m.dates.map(d => formatDate(d));
-
-        const wb = XLSX.utils.book_new();
-
-        // MRR Bridge sheet
-        const bridgeData = [
-            ['Metric', ...labels],
-            ['Begin', ...m.beginMRR],
-            ['New', ...m.newMRR],
-            ['Upgrade', ...m.upgradeMRR],
-            ['Downgrade', ...m.downgradeMRR],
-            ['Churn', ...m.churnMRR],
-            ['End', ...m.endMRR],
-        ];
-        const bridgeSheet = XLSX.utils.aoa_to_sheet(bridgeData);
-        XLSX.utils.book_append_sheet(wb, bridgeSheet, 'MRR Bridge');
-
-        // Growth sheet
-        const growthData = [
-            ['Metric', ...labels],
-            ['ARR', ...m.arr],
-            ['MRR', ...m.mrr],
-            ['New ARR (TTM)', ...m.newARR.map(v => v ?? '')],
-            ['YOY Growth', ...m.yoyGrowth.map(v => v ?? '')],
-            ['Max Customer Win', ...m.maxCustomerWin.map(v => v ?? '')],
-            ['Avg Customer Win', ...m.avgCustomerWin.map(v => v ?? '')],
-        ];
-        const growthSheet = XLSX.utils.aoa_to_sheet(growthData);
-        XLSX.utils.book_append_sheet(wb, growthSheet, 'Growth');
-
-        // Retention sheet
-        const retData = [
-            ['Metric', ...labels],
-            ['Net New MRR', ...m.netNewMRR],
-            ['TTM NDR', ...m.ttmNDR.map(v => v ?? '')],
-            ['TTM GDR', ...m.ttmGDR.map(v => v ?? '')],
-            ['Cohort NDR', ...m.cohortNDR.map(v => v ?? '')],
-            ['Cohort GDR', ...m.cohortGDR.map(v => v ?? '')],
-            ['Upgrades (#)', ...m.upgradeCount],
-            ['Downgrades (#)', ...m.downgradeCount],
-            ['Max Upgrade', ...m.maxUpgrade.map(v => v ?? '')],
-            ['Avg Upgrade', ...m.avgUpgrade.map(v => v ?? '')],
-            ['Max Downgrade', ...m.maxDowngrade.map(v => v ?? '')],
-            ['Avg Downgrade', ...m.avgDowngrade.map(v => v ?? '')],
-            ['Max Churn', ...m.maxChurn.map(v => v ?? '')],
-            ['Avg Churn', ...m.avgChurn.map(v => v ?? '')],
-        ];
-        const retSheet = XLSX.utils.aoa_to_sheet(retData);
-        XLSX.utils.book_append_sheet(wb, retSheet, 'Retention');
-
-        // Customers sheet
-        const custData = [
-            ['Metric', ...labels],
-            ['Begin', ...m.beginCustomers],
-            ['New', ...m.newCustomers],
-            ['Churn', ...m.churnedCustomers],
-            ['End', ...m.endCustomers],
-            ['ACV', ...m.acv.map(v => v ?? '')],
-            ['Largest Customer', ...m.largestCustomer.map(v => v ?? '')],
-            ['Max Concentration', ...m.maxConcentration.map(v => v ?? '')],
-            ['Gross Cust. Retention (TTM)', ...m.grossCustomerRetention.map(v => v ?? '')],
-            ['Customer Growth (YOY)', ...m.customerGrowth.map(v => v ?? '')],
-        ];
-        const custSheet = XLSX.utils.aoa_to_sheet(custData);
-        XLSX.utils.book_append_sheet(wb, custSheet, 'Customers');
+        // One sheet per segment of the selected dimension
+        const dimension = segmentDimension.value;
+        const segments = dimension
+            ? segmentValuesFor(dimension).map(value => ({ value, metrics: periodView(metricsForSegment(dimension, value)) }))
+            : [];
 
-        XLSX.writeFile(wb, 'MRR_Metrics.xlsx');
+        const wb = buildWorkbook(periodView(computedMetrics), calculationInputs, {
+            formulas: exportFormulas.checked,
+            dimension,
+            segments,
+        });
+        downloadWorkbook(wb, 'MRR_Metrics.xlsx');
     }
 
-    // ===== FORMATTING HELPERS =====
-
-    function formatDate(d) {
-        if (!d) return '';
-        const monthNames = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-        return `${monthNames[d.month - 1]}-${String(d.year).slice(-2)}`;
+    function downloadWorkbook(wb, filename) {
+        downloadFile(new Blob([workbookBytes(wb)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        }), filename);
     }
 
-    function formatCurrency(val) {
-        if (val === null || val === undefined) return '---';
-        return '$' + val.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+    function downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
-    function formatValue(val, fmt) {
-        if (val === null || val === undefined) return '---';
-        switch (fmt) {
-            case 'currency':
-                return formatCurrency(val);
-            case 'percent':
-                return (val * 100).toFixed(1) + '%';
-            case 'number':
-                return val.toLocaleString('en-US', { maximumFractionDigits: 0 });
-            case 'ratio':
-                return val.toFixed(2) + 'x';
-            default:
-                return String(val);
-        }
-    }
+    // ===== FORMATTING HELPERS =====
 
-    function abbreviateNumber(val) {
-        if (Math.abs(val) >= 1e6) return (val / 1e6).toFixed(1) + 'M';
-        if (Math.abs(val) >= 1e3) return (val / 1e3).toFixed(0) + 'K';
-        return val.toFixed(0);
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     function showError(msg) {
@@ -0,0 +1,321 @@
+/**
+ * MRR Calculator - Benchmarks
+ *
+ * Percentile bands of SaaS metrics by ARR stage, for the shaded bands on the
+ * ARR and retention charts and the percentile badges in the results tables.
+ * A benchmark set is plain JSON so it can be downloaded, edited and imported
+ * back; DEFAULT_BENCHMARKS is the set bundled with the calculator.
+ *
+ * Benchmark set: {
+ *   format, version, name, source, currency,
+ *   stages:  [{ key, label, maxARR }] - ascending; a company is in the first
+ *            stage whose maxARR is above its ARR (null for no upper bound)
+ *   metrics: { <calculateMetrics key>: { label, fmt, bands: { <stage key>:
+ *            [p10, p25, p50, p75, p90] } } }
+ * }
+ * Bands give the value at each percentile of performance, so they rise for
+ * metrics where higher is better and fall where lower is better (burn
+ * multiple, CAC payback).
+ *
+ * Growth and retention bands are twelve-month figures, so they are only
+ * compared when the lookback window is twelve months. NDR bands rank the
+ * headline NDR; a cohort headline is compared when its cohort window is
+ * twelve months.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { metricDefinitions, headlineNDRMetric } = require('./definitions.js');
+}
+
+const BENCHMARK_FORMAT = 'mrr-calculator-benchmarks';
+const BENCHMARK_VERSION = 1;
+const BENCHMARK_PERCENTILES = [10, 25, 50, 75, 90];
+const BENCHMARK_LOOKBACK_METRICS = ['yoyGrowth', 'ttmNDR', 'ttmGDR', 'grossCustomerRetention'];
+
+const DEFAULT_BENCHMARKS = {
+    format: BENCHMARK_FORMAT,
+    version: BENCHMARK_VERSION,
+    name: 'Private SaaS (indicative)',
+    source: 'Indicative ranges in line with published private SaaS surveys; replace with your own dataset for diligence work',
+    currency: 'USD',
+    stages: [
+        { key: 'under1m', label: '<$1M ARR', maxARR: 1000000 },
+        { key: '1to5m', label: '$1-5M ARR', maxARR: 5000000 },
+        { key: '5to20m', label: '$5-20M ARR', maxARR: 20000000 },
+        { key: '20to50m', label: '$20-50M ARR', maxARR: 50000000 },
+        { key: 'over50m', label: '$50M+ ARR', maxARR: null },
+    ],
+    metrics: {
+        yoyGrowth: {
+            label: 'YOY Growth',
+            fmt: 'percent',
+            bands: {
+                under1m: [0, 0.5, 1.2, 2.5, 4],
+                '1to5m': [0.05, 0.3, 0.6, 1.1, 2],
+                '5to20m': [0.05, 0.2, 0.4, 0.7, 1.1],
+                '20to50m': [0.05, 0.15, 0.3, 0.5, 0.8],
+                over50m: [0.05, 0.12, 0.25, 0.4, 0.6],
+            },
+        },
+        ttmNDR: {
+            label: 'TTM NDR',
+            fmt: 'percent',
+            bands: {
+                under1m: [0.7, 0.85, 0.97, 1.1, 1.25],
+                '1to5m': [0.8, 0.9, 1, 1.1, 1.25],
+                '5to20m': [0.85, 0.95, 1.03, 1.12, 1.25],
+                '20to50m': [0.9, 0.98, 1.06, 1.15, 1.25],
+                over50m: [0.92, 1, 1.08, 1.18, 1.3],
+            },
+        },
+        ttmGDR: {
+            label: 'TTM GDR',
+            fmt: 'percent',
+            bands: {
+                under1m: [0.6, 0.75, 0.85, 0.92, 0.97],
+                '1to5m': [0.7, 0.8, 0.88, 0.93, 0.97],
+                '5to20m': [0.75, 0.84, 0.9, 0.94, 0.97],
+                '20to50m': [0.8, 0.86, 0.91, 0.95, 0.97],
+                over50m: [0.82, 0.88, 0.92, 0.95, 0.98],
+            },
+        },
+        grossCustomerRetention: {
+            label: 'Gross Cust. Retention',
+            fmt: 'percent',
+            bands: {
+                under1m: [0.5, 0.65, 0.78, 0.87, 0.93],
+                '1to5m': [0.6, 0.72, 0.82, 0.89, 0.94],
+                '5to20m': [0.65, 0.76, 0.85, 0.9, 0.95],
+                '20to50m': [0.7, 0.8, 0.87, 0.92, 0.95],
+                over50m: [0.72, 0.82, 0.88, 0.93, 0.96],
+            },
+        },
+        acv: {
+            label: 'ACV',
+            fmt: 'currency',
+            bands: {
+                under1m: [2000, 5000, 12000, 30000, 60000],
+                '1to5m': [3000, 8000, 20000, 45000, 90000],
+                '5to20m': [5000, 12000, 28000, 60000, 120000],
+                '20to50m': [6000, 15000, 35000, 75000, 150000],
+                over50m: [8000, 20000, 45000, 90000, 200000],
+            },
+        },
+        magicNumber: {
+            label: 'Magic Number',
+            fmt: 'ratio',
+            bands: {
+                under1m: [0.1, 0.3, 0.6, 1, 1.6],
+                '1to5m': [0.2, 0.4, 0.7, 1, 1.5],
+                '5to20m': [0.2, 0.4, 0.7, 1, 1.4],
+                '20to50m': [0.2, 0.4, 0.6, 0.9, 1.2],
+                over50m: [0.2, 0.35, 0.55, 0.8, 1.1],
+            },
+        },
+        burnMultiple: {
+            label: 'Burn Multiple',
+            fmt: 'ratio',
+            bands: {
+                under1m: [5, 3, 2, 1.3, 0.8],
+                '1to5m': [4, 2.5, 1.6, 1.1, 0.7],
+                '5to20m': [3.5, 2.2, 1.4, 1, 0.6],
+                '20to50m': [3, 2, 1.3, 0.9, 0.5],
+                over50m: [2.5, 1.7, 1.1, 0.7, 0.4],
+            },
+        },
+        cacPayback: {
+            label: 'CAC Payback',
+            fmt: 'months',
+            bands: {
+                under1m: [36, 24, 15, 10, 6],
+                '1to5m': [36, 26, 18, 12, 8],
+                '5to20m': [40, 28, 20, 14, 9],
+                '20to50m': [42, 30, 22, 15, 10],
+                over50m: [45, 32, 24, 16, 11],
+            },
+        },
+    },
+};
+
+// ===== BENCHMARK FILES =====
+
+function benchmarksToJSON(set) {
+    return JSON.stringify(set, null, 2);
+}
+
+// Parses and checks a benchmark file; returns the set ready to use
+function benchmarksFromJSON(text) {
+    let set;
+    try {
+        set = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!set || set.format !== BENCHMARK_FORMAT) {
+        throw new Error('This is not an MRR Calculator benchmark file.');
+    }
+    if (set.version > BENCHMARK_VERSION) {
+        throw new Error('This benchmark file was written for a newer version of the calculator.');
+    }
+    if (!Array.isArray(set.stages) || set.stages.length === 0) {
+        throw new Error('The benchmark file has no ARR stages.');
+    }
+    set.stages.forEach((stage, i) => {
+        if (!stage || !stage.key || (stage.maxARR !== null && !Number.isFinite(stage.maxARR))) {
+            throw new Error(`ARR stage ${i + 1} needs a key and a maxARR (a number, or null for the last stage).`);
+        }
+        const prev = set.stages[i - 1];
+        if (prev && (prev.maxARR === null || (stage.maxARR !== null && stage.maxARR <= prev.maxARR))) {
+            throw new Error(`ARR stage "${stage.key}" is out of order: stages go from smallest to largest maxARR.`);
+        }
+    });
+    if (!set.metrics || typeof set.metrics !== 'object' || Object.keys(set.metrics).length === 0) {
+        throw new Error('The benchmark file has no metrics.');
+    }
+    Object.keys(set.metrics).forEach(key => {
+        const bands = (set.metrics[key] && set.metrics[key].bands) || {};
+        Object.keys(bands).forEach(stage => {
+            const values = bands[stage];
+            const valid = Array.isArray(values) && values.length === BENCHMARK_PERCENTILES.length &&
+                values.every(Number.isFinite) && (bandsSorted(values, 1) || bandsSorted(values, -1));
+            if (!valid) {
+                throw new Error(`${key} (${stage}) needs ${BENCHMARK_PERCENTILES.length} numbers for ` +
+                    `P${BENCHMARK_PERCENTILES.join('/P')}, all rising or all falling.`);
+            }
+        });
+    });
+    return {
+        format: BENCHMARK_FORMAT,
+        version: BENCHMARK_VERSION,
+        name: set.name || 'Imported benchmarks',
+        source: set.source || '',
+        currency: set.currency || 'USD',
+        stages: set.stages,
+        metrics: set.metrics,
+    };
+}
+
+function bandsSorted(values, direction) {
+    return values.every((v, i) => i === 0 || (v - values[i - 1]) * direction >= 0);
+}
+
+// ===== PERCENTILES =====
+
+// Stage for an ARR, or the stage chosen by key ('auto' or missing picks by ARR)
+function benchmarkStage(set, arr, stageKey) {
+    const chosen = stageKey && stageKey !== 'auto' && set.stages.find(s => s.key === stageKey);
+    if (chosen) return chosen;
+    const value = arr || 0;
+    return set.stages.find(s => s.maxARR === null || value < s.maxARR) || set.stages[set.stages.length - 1];
+}
+
+// calculateMetrics key of the series a benchmark ranks: NDR bands rank the headline NDR
+function benchmarkedSeries(key, m) {
+    return key === 'ttmNDR' ? headlineNDRMetric(m && m.definitions).key : key;
+}
+
+// Bands of a metric at a stage, or null when the set has none or the
+// metric was calculated over a different window than the benchmark
+function benchmarkBands(set, key, stage, m) {
+    const metric = set.metrics[key];
+    if (!metric || !metric.bands || !metric.bands[stage.key]) return null;
+    const defs = metricDefinitions(m && m.definitions);
+    const months = benchmarkedSeries(key, m) === 'cohortNDR' ? defs.cohortWindowMonths
+        : BENCHMARK_LOOKBACK_METRICS.includes(key) ? defs.lookbackMonths : 12;
+    if (months !== 12) return null;
+    return metric.bands[stage.key];
+}
+
+/**
+ * Where a value falls in its bands, as { percentile, label }: the percentile
+ * is interpolated between the band points and clamped to P10-P90, with the
+ * label showing values beyond them as <P10 or >P90.
+ */
+function benchmarkPercentile(bands, value) {
+    // Performance order: falling bands are read back to front
+    const rising = bands[bands.length - 1] >= bands[0];
+    const points = bands.map((v, i) => ({ value: rising ? v : -v, pct: BENCHMARK_PERCENTILES[i] }));
+    const x = rising ? value : -value;
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (x < first.value) return { percentile: first.pct, label: `<P${first.pct}` };
+    if (x > last.value) return { percentile: last.pct, label: `>P${last.pct}` };
+    let pct = last.pct;
+    for (let i = 1; i < points.length; i++) {
+        const lo = points[i - 1];
+        const hi = points[i];
+        if (x <= hi.value) {
+            pct = hi.value === lo.value ? hi.pct : lo.pct + (x - lo.value) / (hi.value - lo.value) * (hi.pct - lo.pct);
+            break;
+        }
+    }
+    const rounded = Math.round(pct);
+    return { percentile: rounded, label: `P${rounded}` };
+}
+
+// The latest value of a metric against its bands, or null when it has no
+// value or no bands: { key, label, fmt, stage, bands, value, percentile, text }
+function latestBenchmark(m, set, key, stageKey) {
+    const last = m.arr.length - 1;
+    const series = m[benchmarkedSeries(key, m)];
+    const value = series ? series[last] : null;
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const stage = benchmarkStage(set, m.arr[last], stageKey);
+    const bands = benchmarkBands(set, key, stage, m);
+    if (!bands) return null;
+    const rank = benchmarkPercentile(bands, value);
+    const metric = set.metrics[key];
+    return {
+        key, label: metric.label || key, fmt: metric.fmt || 'number', stage, bands, value,
+        percentile: rank.percentile, text: rank.label,
+    };
+}
+
+/**
+ * One band of a metric for each period, at the stage of that period's ARR:
+ * { low, median, high } arrays (null where the metric has no bands), from the
+ * from-th to the to-th percentile point (P25-P75 by default).
+ */
+function benchmarkSeries(m, set, key, stageKey, from, to) {
+    const lo = BENCHMARK_PERCENTILES.indexOf(from || 25);
+    const hi = BENCHMARK_PERCENTILES.indexOf(to || 75);
+    const series = { low: [], median: [], high: [] };
+    m.arr.forEach((arr, i) => {
+        const bands = benchmarkBands(set, key, benchmarkStage(set, arr, stageKey), m);
+        series.low[i] = bands ? Math.min(bands[lo], bands[hi]) : null;
+        series.median[i] = bands ? bands[2] : null;
+        series.high[i] = bands ? Math.max(bands[lo], bands[hi]) : null;
+    });
+    return series;
+}
+
+/**
+ * ARR a year on from each period's prior-year ARR at the benchmark growth
+ * rates: { low, median, high } arrays, null where there is no period a year
+ * earlier. Works on monthly and rolled-up views alike, matching periods by
+ * date; the stage is that of the current ARR, as for the growth badge.
+ */
+function arrBenchmarkSeries(m, set, stageKey, from, to) {
+    const lo = BENCHMARK_PERCENTILES.indexOf(from || 25);
+    const hi = BENCHMARK_PERCENTILES.indexOf(to || 75);
+    const series = { low: [], median: [], high: [] };
+    m.arr.forEach((arr, i) => {
+        const d = m.dates[i];
+        const prior = m.dates.findIndex(p => p.year === d.year - 1 && p.month === d.month);
+        const bands = set.metrics.yoyGrowth && set.metrics.yoyGrowth.bands[benchmarkStage(set, arr, stageKey).key];
+        const base = prior === -1 ? null : m.arr[prior];
+        const valid = bands && base !== null && base > 0;
+        series.low[i] = valid ? base * (1 + Math.min(bands[lo], bands[hi])) : null;
+        series.median[i] = valid ? base * (1 + bands[2]) : null;
+        series.high[i] = valid ? base * (1 + Math.max(bands[lo], bands[hi])) : null;
+    });
+    return series;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_BENCHMARKS, BENCHMARK_PERCENTILES, benchmarksToJSON, benchmarksFromJSON, benchmarkStage,
+        benchmarkedSeries, benchmarkBands, benchmarkPercentile, latestBenchmark, benchmarkSeries, arrBenchmarkSeries,
+    };
+}
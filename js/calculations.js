@@ -4,107 +4,342 @@
  * Replicates all formulas from the MRR spreadsheet.
  *
  * Input: customerData - array of objects:
- *   { name: string, revenue: number[] }
- *   where revenue[i] is the MRR for month i
+ *   { name: string, revenue: number[], products?: { [product]: number[] } }
+ *   where revenue[i] is the MRR for month i, and products, when known, splits
+ *   it by product line
  *
  * Input: dates - array of Date objects for each month column
  *
- * Output: object with all computed metric arrays
+ * Input: financials - optional company-level monthly inputs, each an array
+ *   aligned to dates with null for months left blank (a bare array is read as
+ *   the net loss series):
+ *   { netLoss, salesMarketing, grossMargin, cash }
+ *   Net loss is negative for a loss; gross margin may be fractions or percents
+ *   (one unit for the whole series, see marginFractions in financials.js), and a
+ *   single number for gross margin applies to every month.
+ *
+ * Input: options - optional settings:
+ *   { graceMonths: number } - zero-revenue gaps of up to this many months,
+ *   followed by renewed revenue, are treated as a pause instead of churn + reactivation:
+ *   the customer keeps the MRR of the month before the gap until revenue resumes
+ *   plus the metric definitions (see definitions.js): lookbackMonths,
+ *   cohortWindowMonths, headlineNDR and arrMethod
+ *
+ * Output: object with all computed metric arrays, plus definitions - the
+ *   metric definitions used - and graceMonths
  */
 
-function calculateMetrics(customerData, dates, netLossData) {
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { metricDefinitions } = require('./definitions.js');
+    var { marginFractions } = require('./financials.js');
+}
+
+function calculateMetrics(customerData, dates, financials, options) {
     const numMonths = dates.length;
     const numCustomers = customerData.length;
+    const graceMonths = (options && options.graceMonths) || 0;
+    const definitions = metricDefinitions(options);
+    const lookback = definitions.lookbackMonths;
+    const cohortWindow = definitions.cohortWindowMonths;
 
-    // Helper: get revenue for customer c, month m (0-indexed). Before month 0, treat as 0.
-    function rev(c, m) {
+    // Revenue as uploaded for customer c, month m (0-indexed). Before month 0, treat as 0.
+    function uploadedRev(c, m) {
         if (m < 0 || m >= numMonths) return 0;
         return customerData[c].revenue[m] || 0;
     }
 
+    // Month index of each customer's first revenue (-1 if never active)
+    const firstRevenue = [];
+    for (let c = 0; c < numCustomers; c++) {
+        firstRevenue[c] = -1;
+        for (let m = 0; m < numMonths; m++) {
+            if (uploadedRev(c, m) > 0) { firstRevenue[c] = m; break; }
+        }
+    }
+
+    // Active flags: a month is active if it has revenue, or if it falls inside a
+    // zero-revenue gap of up to graceMonths (a gap of exactly graceMonths is
+    // still a pause) that is followed by renewed revenue.
+    // Trailing gaps are never bridged since there is no later revenue to resume.
+    const active = [];
+    for (let c = 0; c < numCustomers; c++) {
+        active[c] = [];
+        let lastRevenue = -1;
+        for (let m = 0; m < numMonths; m++) {
+            const hasRevenue = uploadedRev(c, m) > 0;
+            active[c][m] = hasRevenue;
+            if (!hasRevenue) continue;
+            const gap = m - lastRevenue - 1;
+            if (lastRevenue !== -1 && gap > 0 && gap <= graceMonths) {
+                for (let i = lastRevenue + 1; i < m; i++) active[c][i] = true;
+            }
+            lastRevenue = m;
+        }
+    }
+
+    function isActive(c, m) {
+        if (m < 0 || m >= numMonths) return false;
+        return active[c][m];
+    }
+
+    // MRR of each customer and each of its products, with the months of a
+    // pause carrying the month before it, so pausing and resuming at the same
+    // rate is no movement rather than a downgrade to zero and an upgrade back
+    const revenue = [];
+    const productRevenue = [];
+    for (let c = 0; c < numCustomers; c++) {
+        const products = customerData[c].products || {};
+        revenue[c] = [];
+        productRevenue[c] = {};
+        Object.keys(products).forEach(p => { productRevenue[c][p] = []; });
+        for (let m = 0; m < numMonths; m++) {
+            const paused = active[c][m] && uploadedRev(c, m) <= 0;
+            revenue[c][m] = paused ? revenue[c][m - 1] : uploadedRev(c, m);
+            Object.keys(products).forEach(p => {
+                productRevenue[c][p][m] = paused ? productRevenue[c][p][m - 1] : products[p][m] || 0;
+            });
+        }
+    }
+
+    // MRR for customer c, month m; before month 0, treat as 0
+    function rev(c, m) {
+        if (m < 0 || m >= numMonths) return 0;
+        return revenue[c][m];
+    }
+
+    // Product lines: MRR of product p for customer c, and the month each
+    // customer first had revenue from each of its products
+    const productNames = [];
+    const firstProductMonth = [];
+    for (let c = 0; c < numCustomers; c++) {
+        const products = customerData[c].products || {};
+        firstProductMonth[c] = {};
+        Object.keys(products).forEach(p => {
+            if (!productNames.includes(p)) productNames.push(p);
+            firstProductMonth[c][p] = products[p].findIndex(v => v > 0);
+        });
+    }
+
+    function productRev(c, p, m) {
+        if (m < 0 || m >= numMonths || !productRevenue[c][p]) return 0;
+        return productRevenue[c][p][m];
+    }
+
+    // Cross-sell: MRR from products an existing customer buys for the first time
+    function crossSell(c, m) {
+        if (!isActive(c, m) || !isActive(c, m - 1)) return 0;
+        let total = 0;
+        Object.keys(firstProductMonth[c]).forEach(p => {
+            if (firstProductMonth[c][p] === m) total += productRev(c, p, m);
+        });
+        return total;
+    }
+
+    // Change in an existing customer's MRR other than cross-sell
+    function expansion(c, m) {
+        return rev(c, m) - rev(c, m - 1) - crossSell(c, m);
+    }
+
+    // New: customer's first ever month with revenue
+    function isNew(c, m) {
+        return rev(c, m) > 0 && firstRevenue[c] === m;
+    }
+
+    // Reactivation: customer becomes active again after having churned
+    function isReactivation(c, m) {
+        return isActive(c, m) && !isActive(c, m - 1) && firstRevenue[c] !== -1 && firstRevenue[c] < m;
+    }
+
+    // Upgrade: active in both months and revenue increased (including resuming
+    // from a pause at a higher rate); revenue from newly adopted products is cross-sell instead
+    function isUpgrade(c, m) {
+        return isActive(c, m) && isActive(c, m - 1) && expansion(c, m) > 0;
+    }
+
+    // Downgrade: active in both months and revenue decreased (a pause is flat)
+    function isDowngrade(c, m) {
+        return isActive(c, m) && isActive(c, m - 1) && expansion(c, m) < 0;
+    }
+
+    // Churn: active last month, inactive this month
+    function isChurn(c, m) {
+        return !isActive(c, m) && isActive(c, m - 1);
+    }
+
+    // Movement type for customer c in month m, or null if inactive in both months
+    function classify(c, m) {
+        if (isNew(c, m)) return 'new';
+        if (isReactivation(c, m)) return 'reactivation';
+        if (isUpgrade(c, m)) return 'upgrade';
+        if (isDowngrade(c, m)) return 'downgrade';
+        if (isChurn(c, m)) return 'churn';
+        if (isActive(c, m) && isActive(c, m - 1)) return 'flat';
+        return null;
+    }
+
     // ===== MRR BRIDGE (Rows 263-267) =====
 
     const newMRR = [];       // Row 263
+    const reactivationMRR = [];
+    const crossSellMRR = [];
     const upgradeMRR = [];   // Row 264
     const downgradeMRR = []; // Row 265
     const churnMRR = [];     // Row 266
     const beginMRR = [];     // Row 262
     const endMRR = [];       // Row 267
 
+    // Per-customer movement records behind the bridge: movements[m] holds one
+    // record for every customer active in month m or m-1, where delta leaves out
+    // cross-sell, plus one 'crossSell' record (with its product) for each
+    // product an existing customer adopts that month
+    const movements = [];
+
     for (let m = 0; m < numMonths; m++) {
-        let newVal = 0, upVal = 0, downVal = 0, churnVal = 0;
+        let newVal = 0, reactVal = 0, crossVal = 0, upVal = 0, downVal = 0, churnVal = 0;
+        const monthMovements = [];
 
         for (let c = 0; c < numCustomers; c++) {
             const curr = rev(c, m);
             const prev = rev(c, m - 1);
+            const crossed = crossSell(c, m);
 
-            // New: current > 0 AND previous = 0
-            if (curr > 0 && prev === 0) {
+            const type = classify(c, m);
+            if (type) {
+                monthMovements.push({ customer: c, name: customerData[c].name, prev, curr, delta: curr - prev - crossed, type });
+            }
+            if (crossed > 0) {
+                Object.keys(firstProductMonth[c]).filter(p => firstProductMonth[c][p] === m).forEach(p => {
+                    const amount = productRev(c, p, m);
+                    monthMovements.push({ customer: c, name: customerData[c].name, product: p, prev: 0, curr: amount, delta: amount, type: 'crossSell' });
+                });
+                crossVal += crossed;
+            }
+
+            // New: first month with revenue
+            if (isNew(c, m)) {
                 newVal += curr;
             }
 
-            // Upgrade: current > previous AND previous > 0 (existing customer increased)
-            if (curr > prev && prev > 0) {
-                upVal += (curr - prev);
+            // Reactivation: active again after churning, with revenue in an earlier month
+            if (isReactivation(c, m)) {
+                reactVal += curr;
+            }
+
+            // Upgrade: existing customer increased
+            if (isUpgrade(c, m)) {
+                upVal += expansion(c, m);
             }
 
-            // Downgrade: current < previous AND current > 0 (existing customer decreased but still active)
-            if (curr < prev && curr > 0) {
-                downVal += (curr - prev); // This will be negative
+            // Downgrade: existing customer decreased but still active
+            if (isDowngrade(c, m)) {
+                downVal += expansion(c, m); // This will be negative
             }
 
-            // Churn: current = 0 AND previous > 0
-            if (curr === 0 && prev > 0) {
+            // Churn: active last month, inactive now
+            if (isChurn(c, m)) {
                 churnVal += -prev; // Negative value
             }
         }
 
         newMRR[m] = newVal;
+        reactivationMRR[m] = reactVal;
+        crossSellMRR[m] = crossVal;
         upgradeMRR[m] = upVal;
         downgradeMRR[m] = downVal;
         churnMRR[m] = churnVal;
+        movements[m] = monthMovements;
     }
 
     // Begin and End MRR
     for (let m = 0; m < numMonths; m++) {
         beginMRR[m] = m === 0 ? 0 : endMRR[m - 1];
-        endMRR[m] = beginMRR[m] + newMRR[m] + upgradeMRR[m] + downgradeMRR[m] + churnMRR[m];
+        endMRR[m] = beginMRR[m] + newMRR[m] + reactivationMRR[m] + crossSellMRR[m] + upgradeMRR[m] + downgradeMRR[m] + churnMRR[m];
     }
 
+    // ===== PRODUCT BRIDGES =====
+
+    // The bridge for each product line. A product a customer starts with is
+    // new (or reactivation) MRR, one an existing customer adds is cross-sell,
+    // and dropping a product while staying a customer is a downgrade; churn is
+    // only counted when the customer churns. Products are ordered by latest MRR.
+    const productBridges = productNames.map(product => {
+        const bridge = {
+            product, beginMRR: [], newMRR: [], reactivationMRR: [], crossSellMRR: [],
+            upgradeMRR: [], downgradeMRR: [], churnMRR: [], endMRR: [], customers: [],
+        };
+        for (let m = 0; m < numMonths; m++) {
+            let newVal = 0, reactVal = 0, crossVal = 0, upVal = 0, downVal = 0, churnVal = 0, endVal = 0, count = 0;
+            for (let c = 0; c < numCustomers; c++) {
+                const curr = productRev(c, product, m);
+                const prev = productRev(c, product, m - 1);
+                endVal += curr;
+                if (curr > 0) count++;
+                if (curr > 0 && prev === 0) {
+                    if (isNew(c, m)) newVal += curr;
+                    else if (isReactivation(c, m)) reactVal += curr;
+                    else if (firstProductMonth[c][product] === m) crossVal += curr;
+                    else upVal += curr;
+                } else if (curr === 0 && prev > 0) {
+                    if (isChurn(c, m)) churnVal -= prev;
+                    else downVal -= prev;
+                } else if (curr > prev) {
+                    upVal += curr - prev;
+                } else {
+                    downVal += curr - prev;
+                }
+            }
+            bridge.beginMRR[m] = m === 0 ? 0 : bridge.endMRR[m - 1];
+            bridge.newMRR[m] = newVal;
+            bridge.reactivationMRR[m] = reactVal;
+            bridge.crossSellMRR[m] = crossVal;
+            bridge.upgradeMRR[m] = upVal;
+            bridge.downgradeMRR[m] = downVal;
+            bridge.churnMRR[m] = churnVal;
+            bridge.endMRR[m] = endVal;
+            bridge.customers[m] = count;
+        }
+        return bridge;
+    }).sort((a, b) => b.endMRR[numMonths - 1] - a.endMRR[numMonths - 1]);
+
     // ===== GROWTH DATA (Rows 270-275) =====
 
-    const arr = endMRR.map(v => v * 12);    // Row 270
+    // ARR (Row 270): month-end MRR x 12, or the average MRR of the trailing
+    // quarter x 12 (fewer months at the start of the data)
+    const arr = endMRR.map((v, m) => {
+        if (definitions.arrMethod !== 'quarter') return v * 12;
+        const window = endMRR.slice(Math.max(0, m - 2), m + 1);
+        return window.reduce((t, x) => t + x, 0) / window.length * 12;
+    });
     const mrr = endMRR.slice();              // Row 271
 
-    // New ARR: current ARR - ARR 12 months ago (Row 272)
+    // New ARR: current ARR - ARR a lookback ago (Row 272)
     const newARR = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12) {
-            newARR[m] = arr[m] - arr[m - 12];
+        if (m >= lookback) {
+            newARR[m] = arr[m] - arr[m - lookback];
         } else {
             newARR[m] = null;
         }
     }
 
-    // YOY Growth: MRR / MRR 12 months ago - 1 (Row 273)
+    // YOY Growth: MRR / MRR a lookback ago - 1 (Row 273)
     const yoyGrowth = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12 && mrr[m - 12] !== 0) {
-            yoyGrowth[m] = mrr[m] / mrr[m - 12] - 1;
+        if (m >= lookback && mrr[m - lookback] !== 0) {
+            yoyGrowth[m] = mrr[m] / mrr[m - lookback] - 1;
         } else {
             yoyGrowth[m] = null;
         }
     }
 
-    // Max Customer Win: largest MRR from a new customer (Row 274)
+    // Max Customer Win: largest MRR from a new customer, excluding reactivations (Row 274)
     const maxCustomerWin = [];
     for (let m = 0; m < numMonths; m++) {
         let maxVal = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m);
-            const prev = rev(c, m - 1);
-            if (curr > 0 && prev === 0) {
-                maxVal = Math.max(maxVal, curr);
+            if (isNew(c, m)) {
+                maxVal = Math.max(maxVal, rev(c, m));
             }
         }
         maxCustomerWin[m] = maxVal || null;
@@ -115,10 +350,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let total = 0, count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m);
-            const prev = rev(c, m - 1);
-            if (curr > 0 && prev === 0) {
-                total += curr;
+            if (isNew(c, m)) {
+                total += rev(c, m);
                 count++;
             }
         }
@@ -127,23 +360,23 @@ function calculateMetrics(customerData, dates, netLossData) {
 
     // ===== RETENTION DATA (Rows 278-282) =====
 
-    // Net New MRR = Upgrade + Downgrade + Churn (Row 278)
+    // Net New MRR = Upgrade + Downgrade + Churn (Row 278), with cross-sell counted as expansion
     const netNewMRR = [];
     for (let m = 0; m < numMonths; m++) {
-        netNewMRR[m] = upgradeMRR[m] + downgradeMRR[m] + churnMRR[m];
+        netNewMRR[m] = crossSellMRR[m] + upgradeMRR[m] + downgradeMRR[m] + churnMRR[m];
     }
 
-    // TTM NDR: (sum of 12 months of upgrades+downgrades+churn + beginMRR from 12 months ago) / beginMRR from 12 months ago (Row 279)
+    // TTM NDR: (sum of a lookback of cross-sell+upgrades+downgrades+churn + beginMRR a lookback ago) / beginMRR a lookback ago (Row 279)
     const ttmNDR = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12) {
-            const startBegin = beginMRR[m - 11]; // The begin value 12 months ago
+        if (m >= lookback) {
+            const startBegin = beginMRR[m - lookback + 1]; // The begin value a lookback ago
             if (startBegin === 0) {
                 ttmNDR[m] = null;
             } else {
                 let sumUpgrades = 0, sumDowngrades = 0, sumChurn = 0;
-                for (let i = m - 11; i <= m; i++) {
-                    sumUpgrades += upgradeMRR[i];
+                for (let i = m - lookback + 1; i <= m; i++) {
+                    sumUpgrades += crossSellMRR[i] + upgradeMRR[i];
                     sumDowngrades += downgradeMRR[i];
                     sumChurn += churnMRR[i];
                 }
@@ -154,16 +387,16 @@ function calculateMetrics(customerData, dates, netLossData) {
         }
     }
 
-    // TTM GDR: (sum of 12 months of downgrades+churn + beginMRR from 12 months ago) / beginMRR from 12 months ago (Row 280)
+    // TTM GDR: (sum of a lookback of downgrades+churn + beginMRR a lookback ago) / beginMRR a lookback ago (Row 280)
     const ttmGDR = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12) {
-            const startBegin = beginMRR[m - 11];
+        if (m >= lookback) {
+            const startBegin = beginMRR[m - lookback + 1];
             if (startBegin === 0) {
                 ttmGDR[m] = null;
             } else {
                 let sumDowngrades = 0, sumChurn = 0;
-                for (let i = m - 11; i <= m; i++) {
+                for (let i = m - lookback + 1; i <= m; i++) {
                     sumDowngrades += downgradeMRR[i];
                     sumChurn += churnMRR[i];
                 }
@@ -174,35 +407,35 @@ function calculateMetrics(customerData, dates, netLossData) {
         }
     }
 
-    // Cohort NDR: sum of current revenue for customers active 12 months ago / end MRR 12 months ago (Row 281)
+    // Cohort NDR: sum of current revenue for customers active a cohort window ago / end MRR then (Row 281)
     const cohortNDR = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12 && endMRR[m - 12] !== 0) {
+        if (m >= cohortWindow && endMRR[m - cohortWindow] !== 0) {
             let sumCurrent = 0;
             for (let c = 0; c < numCustomers; c++) {
-                if (rev(c, m - 12) > 0) {
+                if (isActive(c, m - cohortWindow)) {
                     sumCurrent += rev(c, m);
                 }
             }
-            cohortNDR[m] = sumCurrent / endMRR[m - 12];
+            cohortNDR[m] = sumCurrent / endMRR[m - cohortWindow];
         } else {
             cohortNDR[m] = null;
         }
     }
 
-    // Cohort GDR: for customers active 12mo ago, sum min(current, 12mo-ago) / end MRR 12 months ago (Row 282)
+    // Cohort GDR: for customers active a cohort window ago, sum min(current, then) / end MRR then (Row 282)
     const cohortGDR = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12 && endMRR[m - 12] !== 0) {
+        if (m >= cohortWindow && endMRR[m - cohortWindow] !== 0) {
             let sumCapped = 0;
             for (let c = 0; c < numCustomers; c++) {
-                const old = rev(c, m - 12);
+                const old = rev(c, m - cohortWindow);
                 if (old > 0) {
                     const curr = rev(c, m);
                     sumCapped += Math.min(curr, old);
                 }
             }
-            cohortGDR[m] = sumCapped / endMRR[m - 12];
+            cohortGDR[m] = sumCapped / endMRR[m - cohortWindow];
         } else {
             cohortGDR[m] = null;
         }
@@ -215,7 +448,7 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            if (rev(c, m) > rev(c, m - 1) && rev(c, m - 1) > 0) count++;
+            if (isUpgrade(c, m)) count++;
         }
         upgradeCount[m] = count;
     }
@@ -225,7 +458,7 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            if (rev(c, m) < rev(c, m - 1) && rev(c, m) > 0) count++;
+            if (isDowngrade(c, m)) count++;
         }
         downgradeCount[m] = count;
     }
@@ -235,9 +468,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let maxVal = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr > prev && prev > 0) {
-                maxVal = Math.max(maxVal, curr - prev);
+            if (isUpgrade(c, m)) {
+                maxVal = Math.max(maxVal, expansion(c, m));
             }
         }
         maxUpgrade[m] = maxVal || null;
@@ -248,9 +480,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let total = 0, count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr > prev && prev > 0) {
-                total += (curr - prev);
+            if (isUpgrade(c, m)) {
+                total += expansion(c, m);
                 count++;
             }
         }
@@ -262,9 +493,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let minVal = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr < prev && curr > 0) {
-                minVal = Math.min(minVal, curr - prev);
+            if (isDowngrade(c, m)) {
+                minVal = Math.min(minVal, expansion(c, m));
             }
         }
         maxDowngrade[m] = minVal !== 0 ? minVal : null;
@@ -275,9 +505,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let total = 0, count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr < prev && curr > 0) {
-                total += (curr - prev);
+            if (isDowngrade(c, m)) {
+                total += expansion(c, m);
                 count++;
             }
         }
@@ -289,8 +518,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let minVal = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr === 0 && prev > 0) {
+            const prev = rev(c, m - 1);
+            if (isChurn(c, m)) {
                 minVal = Math.min(minVal, -prev);
             }
         }
@@ -302,8 +531,8 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let total = 0, count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            const curr = rev(c, m), prev = rev(c, m - 1);
-            if (curr === 0 && prev > 0) {
+            const prev = rev(c, m - 1);
+            if (isChurn(c, m)) {
                 total += -prev;
                 count++;
             }
@@ -318,17 +547,27 @@ function calculateMetrics(customerData, dates, netLossData) {
     for (let m = 0; m < numMonths; m++) {
         let count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            if (rev(c, m) > 0 && rev(c, m - 1) === 0) count++;
+            if (isNew(c, m)) count++;
         }
         newCustomers[m] = count;
     }
 
+    // Reactivated customers: returning after one or more zero months
+    const reactivatedCustomers = [];
+    for (let m = 0; m < numMonths; m++) {
+        let count = 0;
+        for (let c = 0; c < numCustomers; c++) {
+            if (isReactivation(c, m)) count++;
+        }
+        reactivatedCustomers[m] = count;
+    }
+
     // Churned customers (Row 296) - negative
     const churnedCustomers = [];
     for (let m = 0; m < numMonths; m++) {
         let count = 0;
         for (let c = 0; c < numCustomers; c++) {
-            if (rev(c, m) === 0 && rev(c, m - 1) > 0) count++;
+            if (isChurn(c, m)) count++;
         }
         churnedCustomers[m] = -count;
     }
@@ -338,7 +577,7 @@ function calculateMetrics(customerData, dates, netLossData) {
     const endCustomers = [];
     for (let m = 0; m < numMonths; m++) {
         beginCustomers[m] = m === 0 ? 0 : endCustomers[m - 1];
-        endCustomers[m] = beginCustomers[m] + newCustomers[m] + churnedCustomers[m];
+        endCustomers[m] = beginCustomers[m] + newCustomers[m] + reactivatedCustomers[m] + churnedCustomers[m];
     }
 
     // ACV = End MRR / End Customers * 12 (Row 298)
@@ -357,22 +596,22 @@ function calculateMetrics(customerData, dates, netLossData) {
         largestCustomer[m] = maxVal > 0 ? maxVal * 12 : null;
     }
 
-    // Max Customer Concentration (Row 300)
+    // Max Customer Concentration (Row 300), against month-end MRR x 12 whichever way ARR is annualised
     const maxConcentration = [];
     for (let m = 0; m < numMonths; m++) {
-        maxConcentration[m] = (largestCustomer[m] && arr[m] > 0) ? largestCustomer[m] / arr[m] : null;
+        maxConcentration[m] = (largestCustomer[m] && endMRR[m] > 0) ? largestCustomer[m] / (endMRR[m] * 12) : null;
     }
 
-    // Gross Customer Retention TTM (Row 301)
+    // Gross Customer Retention over the lookback (Row 301)
     const grossCustomerRetention = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12) {
-            const startBegin = beginCustomers[m - 11];
+        if (m >= lookback) {
+            const startBegin = beginCustomers[m - lookback + 1];
             if (startBegin === 0) {
                 grossCustomerRetention[m] = null;
             } else {
                 let sumChurned = 0;
-                for (let i = m - 11; i <= m; i++) {
+                for (let i = m - lookback + 1; i <= m; i++) {
                     sumChurned += churnedCustomers[i];
                 }
                 grossCustomerRetention[m] = (sumChurned + startBegin) / startBegin;
@@ -382,32 +621,113 @@ function calculateMetrics(customerData, dates, netLossData) {
         }
     }
 
-    // Customer Growth YOY (Row 302)
+    // Customer Growth over the lookback (Row 302)
     const customerGrowth = [];
     for (let m = 0; m < numMonths; m++) {
-        if (m >= 12 && endCustomers[m - 12] > 0) {
-            customerGrowth[m] = endCustomers[m] / endCustomers[m - 12] - 1;
+        if (m >= lookback && endCustomers[m - lookback] > 0) {
+            customerGrowth[m] = endCustomers[m] / endCustomers[m - lookback] - 1;
         } else {
             customerGrowth[m] = null;
         }
     }
 
+    // ===== CONCENTRATION =====
+
+    // Share of ARR held by the largest customers, and the Herfindahl-Hirschman
+    // index (sum of squared percentage shares, 0-10,000)
+    const top5Share = [];
+    const top10Share = [];
+    const top20Share = [];
+    const hhi = [];
+
+    // Customers and ARR by ACV band; max is exclusive, and null for the top band
+    const sizeBands = [
+        { label: 'ACV < 10K', min: 0, max: 10000 },
+        { label: 'ACV 10K-50K', min: 10000, max: 50000 },
+        { label: 'ACV 50K-100K', min: 50000, max: 100000 },
+        { label: 'ACV > 100K', min: 100000, max: null },
+    ].map(band => Object.assign(band, { customers: [], arr: [] }));
+
+    for (let m = 0; m < numMonths; m++) {
+        const sizes = [];
+        for (let c = 0; c < numCustomers; c++) {
+            if (rev(c, m) > 0) sizes.push(rev(c, m) * 12);
+        }
+        sizes.sort((a, b) => b - a);
+        // Shares of the month's run rate, so they add up whichever way ARR is annualised
+        const total = sizes.reduce((t, v) => t + v, 0);
+        const share = n => total > 0 ? sizes.slice(0, n).reduce((t, v) => t + v, 0) / total : null;
+        top5Share[m] = share(5);
+        top10Share[m] = share(10);
+        top20Share[m] = share(20);
+        hhi[m] = total > 0 ? sizes.reduce((t, v) => t + Math.pow(v / total * 100, 2), 0) : null;
+
+        sizeBands.forEach(band => {
+            const members = sizes.filter(v => v >= band.min && (band.max === null || v < band.max));
+            band.customers[m] = members.length;
+            band.arr[m] = members.reduce((t, v) => t + v, 0);
+        });
+    }
+
+    // ===== COHORT MATRIX =====
+
+    // Group customers into acquisition cohorts by the month of their first revenue,
+    // then track retained MRR and active logos at month 0, 1, 2... after acquisition.
+    const cohortMap = new Map();
+    for (let c = 0; c < numCustomers; c++) {
+        const first = firstRevenue[c];
+        if (first === -1) continue;
+        if (!cohortMap.has(first)) cohortMap.set(first, []);
+        cohortMap.get(first).push(c);
+    }
+
+    const cohorts = [];
+    Array.from(cohortMap.keys()).sort((a, b) => a - b).forEach(start => {
+        const members = cohortMap.get(start);
+        const cohortMRR = [];
+        const cohortCustomers = [];
+        for (let m = start; m < numMonths; m++) {
+            let total = 0, count = 0;
+            members.forEach(c => {
+                total += rev(c, m);
+                if (isActive(c, m)) count++;
+            });
+            cohortMRR.push(total);
+            cohortCustomers.push(count);
+        }
+        const startMRR = cohortMRR[0];
+        const startCustomers = cohortCustomers[0];
+        cohorts.push({
+            start,
+            date: dates[start],
+            startMRR,
+            startCustomers,
+            mrr: cohortMRR,
+            customers: cohortCustomers,
+            mrrPct: cohortMRR.map(v => startMRR > 0 ? v / startMRR : null),
+            customersPct: cohortCustomers.map(v => startCustomers > 0 ? v / startCustomers : null),
+        });
+    });
+
     // ===== TTM EFFICIENCY (Rows 307-312) =====
 
+    const fin = Array.isArray(financials) ? { netLoss: financials } : (financials || {});
+    const netLossData = fin.netLoss;
+
     let netLoss = null;
     let ttmNewARRoverLoss = null;
     let ttmPayback = null;
     let sixMoNewARRoverLoss = null;
     let sixMoPayback = null;
 
-    if (netLossData && netLossData.length > 0) {
+    if (netLossData && netLossData.some(v => v !== null && v !== undefined)) {
         netLoss = netLossData;
 
-        // TTM New ARR / TTM Net Loss (Row 308)
+        // TTM New ARR / TTM Net Loss (Row 308), over twelve months whatever the lookback
         ttmNewARRoverLoss = [];
         ttmPayback = [];
         for (let m = 0; m < numMonths; m++) {
-            if (m >= 11 && newARR[m] !== null) {
+            if (m >= 12) {
                 let sumLoss = 0;
                 let hasLoss = false;
                 for (let i = m - 11; i <= m; i++) {
@@ -417,7 +737,7 @@ function calculateMetrics(customerData, dates, netLossData) {
                     }
                 }
                 if (hasLoss && sumLoss !== 0) {
-                    const ratio = newARR[m] / (sumLoss * -1);
+                    const ratio = (arr[m] - arr[m - 12]) / (sumLoss * -1);
                     ttmNewARRoverLoss[m] = ratio;
                     ttmPayback[m] = ratio !== 0 ? 1 / ratio : null;
                 } else {
@@ -437,7 +757,7 @@ function calculateMetrics(customerData, dates, netLossData) {
             if (m >= 5) {
                 let sumNew = 0;
                 for (let i = m - 5; i <= m; i++) {
-                    sumNew += newMRR[i] + upgradeMRR[i] + downgradeMRR[i] + churnMRR[i];
+                    sumNew += newMRR[i] + reactivationMRR[i] + crossSellMRR[i] + upgradeMRR[i] + downgradeMRR[i] + churnMRR[i];
                 }
                 sumNew *= 12; // annualize
 
@@ -464,15 +784,153 @@ function calculateMetrics(customerData, dates, netLossData) {
         }
     }
 
+    // ===== FINANCIAL EFFICIENCY =====
+
+    // A series counts as supplied when at least one month has a value
+    const has = v => v !== null && v !== undefined;
+    const inputSeries = series => series && series.some(has) ? series : null;
+    const salesMarketing = inputSeries(fin.salesMarketing);
+    const cashBalance = inputSeries(fin.cash);
+    const marginInput = typeof fin.grossMargin === 'number' ? dates.map(() => fin.grossMargin) : fin.grossMargin;
+    const grossMargin = inputSeries(marginInput) ? marginFractions(marginInput) : null;
+
+    // Sum of the supplied values in months from..to, or null if none are supplied
+    function sumInput(series, from, to) {
+        let total = null;
+        for (let i = Math.max(0, from); i <= to; i++) {
+            if (has(series[i])) total = (total || 0) + series[i];
+        }
+        return total;
+    }
+
+    const netNewInMonth = m => newMRR[m] + reactivationMRR[m] + crossSellMRR[m] + upgradeMRR[m] + downgradeMRR[m] + churnMRR[m];
+
+    let cacPayback = null;
+    let magicNumber = null;
+    if (salesMarketing) {
+        // CAC Payback (months): last 3 months of S&M / (net new MRR over the same
+        // months x gross margin); revenue-based when no gross margin is given
+        cacPayback = dates.map((d, m) => {
+            if (m < 2) return null;
+            const spend = sumInput(salesMarketing, m - 2, m);
+            const netNew = netNewInMonth(m) + netNewInMonth(m - 1) + netNewInMonth(m - 2);
+            const margin = grossMargin && has(grossMargin[m]) ? grossMargin[m] : 1;
+            return spend !== null && netNew > 0 && margin > 0 ? spend / (netNew * margin) : null;
+        });
+
+        // Magic Number: annualized MRR added in the last 3 months / S&M of the 3 months before
+        magicNumber = dates.map((d, m) => {
+            if (m < 5) return null;
+            const spend = sumInput(salesMarketing, m - 5, m - 3);
+            return spend ? (endMRR[m] - endMRR[m - 3]) * 12 / spend : null;
+        });
+    }
+
+    // Net burn over the given number of months to m: the net loss when supplied,
+    // otherwise the fall in cash; null when neither covers the window
+    function burnOver(m, months) {
+        if (m < months - 1) return null;
+        const loss = netLoss ? sumInput(netLoss, m - months + 1, m) : null;
+        if (loss !== null) return -loss;
+        if (cashBalance && m >= months && has(cashBalance[m]) && has(cashBalance[m - months])) {
+            return cashBalance[m - months] - cashBalance[m];
+        }
+        return null;
+    }
+
+    let burnMultiple = null;
+    let runway = null;
+    if (netLoss || cashBalance) {
+        // Burn Multiple: net burn over the last 3 months / annualized MRR added in
+        // them; blank while the company is not burning or not growing
+        burnMultiple = dates.map((d, m) => {
+            if (m < 3) return null;
+            const burn = burnOver(m, 3);
+            const netNewARR = (endMRR[m] - endMRR[m - 3]) * 12;
+            return burn !== null && burn > 0 && netNewARR > 0 ? burn / netNewARR : null;
+        });
+    }
+    if (cashBalance) {
+        // Months of Runway: cash / average monthly net burn over the last 3 months
+        runway = dates.map((d, m) => {
+            const burn = burnOver(m, 3);
+            return has(cashBalance[m]) && burn !== null && burn > 0 ? cashBalance[m] / (burn / 3) : null;
+        });
+    }
+
+    // ===== UNIT ECONOMICS =====
+
+    // Trailing-twelve-month figures, computed once gross margin or S&M spend is supplied
+    let logoChurnRate = null;
+    let customerLifetime = null;
+    let arpa = null;
+    let ltv = null;
+    let newLogoCAC = null;
+    let blendedCAC = null;
+    let ltvToCAC = null;
+    let gmCACPayback = null;
+
+    if (grossMargin || salesMarketing) {
+        const ttmSum = (series, m) => series.slice(m - 11, m + 1).reduce((t, v) => t + v, 0);
+
+        // Monthly logo churn: customers churned / customer-months at the start of each month
+        logoChurnRate = dates.map((d, m) => {
+            if (m < 11) return null;
+            const exposure = ttmSum(beginCustomers, m);
+            return exposure > 0 ? -ttmSum(churnedCustomers, m) / exposure : null;
+        });
+        customerLifetime = logoChurnRate.map(rate => rate ? 1 / rate : null);
+        arpa = dates.map((d, m) => endCustomers[m] > 0 ? endMRR[m] / endCustomers[m] : null);
+
+        // LTV: monthly ARPA x gross margin x lifetime in months
+        if (grossMargin) {
+            ltv = dates.map((d, m) => customerLifetime[m] !== null && arpa[m] !== null && has(grossMargin[m])
+                ? arpa[m] * grossMargin[m] * customerLifetime[m]
+                : null);
+        }
+
+        if (salesMarketing) {
+            // New-logo CAC counts only first-time customers; blended CAC every
+            // customer won in the period, win-backs included
+            const spend = dates.map((d, m) => m >= 11 ? sumInput(salesMarketing, m - 11, m) : null);
+            newLogoCAC = dates.map((d, m) => {
+                const won = m >= 11 ? ttmSum(newCustomers, m) : 0;
+                return spend[m] !== null && won > 0 ? spend[m] / won : null;
+            });
+            blendedCAC = dates.map((d, m) => {
+                const won = m >= 11 ? ttmSum(newCustomers, m) + ttmSum(reactivatedCustomers, m) : 0;
+                return spend[m] !== null && won > 0 ? spend[m] / won : null;
+            });
+
+            // Months of gross profit from a new customer to earn back its CAC
+            if (grossMargin) {
+                gmCACPayback = dates.map((d, m) => {
+                    if (m < 11 || spend[m] === null || !has(grossMargin[m])) return null;
+                    const newMRRWon = ttmSum(newMRR, m);
+                    return newMRRWon > 0 && grossMargin[m] > 0 ? spend[m] / (newMRRWon * grossMargin[m]) : null;
+                });
+                ltvToCAC = dates.map((d, m) => ltv[m] !== null && newLogoCAC[m] ? ltv[m] / newLogoCAC[m] : null);
+            }
+        }
+    }
+
     return {
         dates,
+        definitions,
+        graceMonths,
         // MRR Bridge
         beginMRR,
         newMRR,
+        reactivationMRR,
+        crossSellMRR,
         upgradeMRR,
         downgradeMRR,
         churnMRR,
         endMRR,
+        movements,
+        // Product lines
+        products: productBridges.map(b => b.product),
+        productBridges,
         // Growth
         arr,
         mrr,
@@ -498,6 +956,7 @@ function calculateMetrics(customerData, dates, netLossData) {
         // Customer counts
         beginCustomers,
         newCustomers,
+        reactivatedCustomers,
         churnedCustomers,
         endCustomers,
         acv,
@@ -505,11 +964,39 @@ function calculateMetrics(customerData, dates, netLossData) {
         maxConcentration,
         grossCustomerRetention,
         customerGrowth,
+        // Concentration
+        top5Share,
+        top10Share,
+        top20Share,
+        hhi,
+        sizeBands,
+        // Cohorts
+        cohorts,
         // Efficiency
         netLoss,
         ttmNewARRoverLoss,
         ttmPayback,
         sixMoNewARRoverLoss,
         sixMoPayback,
+        salesMarketing,
+        grossMargin,
+        cashBalance,
+        cacPayback,
+        magicNumber,
+        burnMultiple,
+        runway,
+        // Unit economics
+        logoChurnRate,
+        customerLifetime,
+        arpa,
+        ltv,
+        newLogoCAC,
+        blendedCAC,
+        ltvToCAC,
+        gmCACPayback,
     };
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { calculateMetrics };
+}
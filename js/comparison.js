@@ -0,0 +1,109 @@
+/**
+ * MRR Calculator - Dataset Comparison
+ *
+ * Lines up several calculateMetrics results (portfolio companies, or two
+ * versions of the same file) so they can share a chart and a table.
+ *
+ * Input: entries - array of { label, currency, metrics } with monthly metrics
+ *
+ * Labels follow the metric definitions of the first dataset, and NDR is its
+ * headline NDR; datasets calculated under other definitions are flagged,
+ * since their figures are not like for like.
+ *
+ * Alignment:
+ *   calendar - one column per calendar month across every dataset
+ *   tenure   - months since each dataset's first revenue (M0, M1, ...)
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { formatDate } = require('./format.js');
+    var { metricDefinitions, definitionRows, trailingLabel, growthLabel, headlineNDRMetric } = require('./definitions.js');
+}
+
+// Metrics the chart can show, by option value: the calculateMetrics key each
+// reads, labelled like the results tables
+function comparisonMetrics(defs) {
+    const trailing = trailingLabel(defs.lookbackMonths);
+    const ndr = headlineNDRMetric(defs);
+    return {
+        arr: { key: 'arr', label: 'ARR', fmt: 'currency' },
+        ndr: { key: ndr.key, label: ndr.label, fmt: 'percent' },
+        ttmGDR: { key: 'ttmGDR', label: `${trailing} GDR`, fmt: 'percent' },
+        yoyGrowth: { key: 'yoyGrowth', label: `${growthLabel(defs.lookbackMonths)} Growth`, fmt: 'percent' },
+        endCustomers: { key: 'endCustomers', label: 'Customers', fmt: 'number' },
+    };
+}
+
+// Rows of the latest-values table, in display order
+function comparisonRows(defs) {
+    const trailing = trailingLabel(defs.lookbackMonths);
+    const ndr = headlineNDRMetric(defs);
+    return [
+        { key: 'arr', label: 'ARR', fmt: 'currency' },
+        { key: 'mrr', label: 'MRR', fmt: 'currency' },
+        { key: 'yoyGrowth', label: `${growthLabel(defs.lookbackMonths)} Growth`, fmt: 'percent' },
+        { key: ndr.key, label: ndr.label, fmt: 'percent' },
+        { key: 'ttmGDR', label: `${trailing} GDR`, fmt: 'percent' },
+        { key: 'endCustomers', label: 'Customers', fmt: 'number' },
+        { key: 'acv', label: 'ACV', fmt: 'currency' },
+        { key: 'grossCustomerRetention', label: `Gross Cust. Retention (${trailing})`, fmt: 'percent' },
+    ];
+}
+
+/**
+ * Returns { defs, mismatched }: the definitions of the first dataset, which
+ * the labels follow, and the labels of the definitions (see METRIC_DEFINITIONS)
+ * that another dataset was calculated with differently.
+ */
+function comparisonDefinitions(entries) {
+    const rows = entries.map(e => definitionRows(e.metrics.definitions));
+    const mismatched = rows.length === 0 ? []
+        : rows[0].filter((row, i) => rows.some(r => r[i].value !== row.value)).map(row => row.label);
+    return { defs: metricDefinitions(entries.length > 0 ? entries[0].metrics.definitions : null), mismatched };
+}
+
+const monthIndex = d => d.year * 12 + d.month - 1;
+
+/**
+ * Returns { labels, series } where series[i] is entries[i]'s values of
+ * metric key, aligned to labels (null where a dataset has no month).
+ */
+function alignSeries(entries, key, alignment) {
+    if (alignment === 'tenure') {
+        const starts = entries.map(e => Math.max(0, e.metrics.endMRR.findIndex(v => v > 0)));
+        const length = entries.reduce((max, e, i) => Math.max(max, e.metrics.dates.length - starts[i]), 0);
+        return {
+            labels: Array.from({ length }, (_, k) => 'M' + k),
+            series: entries.map((e, i) => Array.from({ length }, (_, k) => {
+                const v = e.metrics[key][starts[i] + k];
+                return v === undefined ? null : v;
+            })),
+        };
+    }
+
+    const indices = new Set();
+    entries.forEach(e => e.metrics.dates.forEach(d => indices.add(monthIndex(d))));
+    const months = Array.from(indices).sort((a, b) => a - b);
+    return {
+        labels: months.map(i => formatDate({ year: Math.floor(i / 12), month: (i % 12) + 1 })),
+        series: entries.map(e => {
+            const byMonth = new Map(e.metrics.dates.map((d, m) => [monthIndex(d), e.metrics[key][m]]));
+            return months.map(i => byMonth.has(i) ? byMonth.get(i) : null);
+        }),
+    };
+}
+
+// Latest month of a dataset for the table rows (see comparisonRows):
+// { date, values: { key: value } }
+function latestValues(entry, rows) {
+    const m = entry.metrics;
+    const last = m.dates.length - 1;
+    const values = {};
+    rows.forEach(row => { values[row.key] = m[row.key][last]; });
+    return { date: m.dates[last], values };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { comparisonMetrics, comparisonRows, comparisonDefinitions, alignSeries, latestValues };
+}
@@ -0,0 +1,48 @@
+/**
+ * MRR Calculator - Revenue Concentration
+ *
+ * The Pareto (Lorenz) curve of ARR by customer at one month or period end,
+ * read from the movement records behind the MRR bridge. Top-N shares, the
+ * HHI and the ACV size bands are computed as time series in calculateMetrics.
+ *
+ * Input: m - calculateMetrics or rollupMetrics output
+ * Input: index - month (or period) index; a period is read at its last month
+ *
+ * Output of paretoCurve: array of {
+ *   rank, name, arr    - customers ranked by ARR, largest first
+ *   customerShare      - rank / number of active customers
+ *   arrShare           - cumulative share of ARR held by the top `rank` customers
+ * }
+ */
+
+function paretoCurve(m, index) {
+    let records = m.movements[index] || [];
+    if (m.periods) {
+        const end = m.periods[index].end;
+        records = records.filter(r => r.month === end);
+    }
+    const active = records.filter(r => r.curr > 0 && r.type !== 'crossSell').sort((a, b) => b.curr - a.curr);
+    const total = active.reduce((t, r) => t + r.curr, 0);
+
+    let cumulative = 0;
+    return active.map((r, i) => {
+        cumulative += r.curr;
+        return {
+            rank: i + 1,
+            name: r.name,
+            arr: r.curr * 12,
+            customerShare: (i + 1) / active.length,
+            arrShare: cumulative / total,
+        };
+    });
+}
+
+// Share of customers (smallest rank) holding at least `share` of ARR, e.g. 0.8 for the 80/20 check
+function customersForShare(curve, share) {
+    const point = curve.find(p => p.arrShare >= share - 1e-9);
+    return point ? point.customerShare : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { paretoCurve, customersForShare };
+}
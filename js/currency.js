@@ -0,0 +1,89 @@
+/**
+ * MRR Calculator - Currency Conversion
+ *
+ * Converts each customer's revenue into a single reporting currency before
+ * calculateMetrics runs.
+ *
+ * Input: customerData - array of { name, revenue, currency } where currency is an
+ *   ISO code (e.g. 'EUR'); customers without one are assumed to bill in the
+ *   reporting currency
+ *
+ * Input: fxRates - { [currency]: number[] } where fxRates.EUR[i] is the number of
+ *   reporting currency units per 1 EUR in month i (null where unknown)
+ *
+ * Input: options - { reportingCurrency, method, constantIndex }
+ *   method 'actual'   converts each month at that month's rate
+ *   method 'constant' converts every month at the rate for month constantIndex
+ */
+
+const CURRENCY_SYMBOLS = {
+    USD: '$',
+    EUR: '€',
+    GBP: '£',
+    JPY: '¥',
+    CAD: 'CA$',
+    AUD: 'A$',
+    NZD: 'NZ$',
+    CHF: 'CHF ',
+    SEK: 'SEK ',
+    INR: '₹',
+};
+
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY'];
+
+function currencySymbol(code) {
+    if (!code) return '$';
+    return CURRENCY_SYMBOLS[code] || code + ' ';
+}
+
+// Fill unknown months from the nearest earlier month, then the nearest later one
+function fillRates(rates, numMonths) {
+    const filled = [];
+    let last = null;
+    for (let i = 0; i < numMonths; i++) {
+        const r = rates ? rates[i] : null;
+        if (typeof r === 'number' && r > 0) last = r;
+        filled[i] = last;
+    }
+    let next = null;
+    for (let i = numMonths - 1; i >= 0; i--) {
+        if (filled[i] !== null) next = filled[i];
+        else filled[i] = next;
+    }
+    return filled;
+}
+
+function convertCustomerData(customerData, dates, fxRates, options) {
+    const numMonths = dates.length;
+    const reporting = options.reportingCurrency;
+    const method = options.method || 'actual';
+    const constantIndex = options.constantIndex !== undefined ? options.constantIndex : numMonths - 1;
+
+    const filledRates = {};
+    customerData.forEach(c => {
+        const ccy = c.currency || reporting;
+        if (ccy === reporting || filledRates[ccy]) return;
+        const filled = fillRates(fxRates[ccy], numMonths);
+        if (filled[0] === null) {
+            throw new Error(`No FX rates entered for ${ccy} → ${reporting}.`);
+        }
+        filledRates[ccy] = filled;
+    });
+
+    return customerData.map(c => {
+        const ccy = c.currency || reporting;
+        if (ccy === reporting) return c;
+        const rates = filledRates[ccy];
+        const convert = series => series.map((v, i) => v * (method === 'constant' ? rates[constantIndex] : rates[i]));
+        const converted = Object.assign({}, c, { revenue: convert(c.revenue), sourceRevenue: c.revenue });
+        if (c.products) {
+            converted.products = {};
+            Object.keys(c.products).forEach(p => { converted.products[p] = convert(c.products[p]); });
+        }
+        return converted;
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CURRENCY_SYMBOLS, COMMON_CURRENCIES, currencySymbol, fillRates, convertCustomerData };
+}
@@ -0,0 +1,85 @@
+/**
+ * MRR Calculator - Customer Analytics
+ *
+ * One summary row per customer, and the month-by-month timeline behind it,
+ * read from the same movement records that drive the MRR bridge.
+ *
+ * Input: customers - the customerData passed to calculateMetrics
+ * Input: m - its monthly calculateMetrics output
+ *
+ * Output of customerSummaries: array of {
+ *   index, name, status ('active' | 'churned' | 'reactivated'),
+ *   first, last      - indices of the first and last months with revenue (-1 if none)
+ *   tenure           - months active (pauses inside the grace period included)
+ *   currentMRR, peakMRR, lifetimeRevenue,
+ *   upgrades, downgrades - counts of each movement
+ *   revenue          - the customer's monthly MRR
+ * }
+ */
+
+const CUSTOMER_STATUS = {
+    active: 'Active',
+    churned: 'Churned',
+    reactivated: 'Reactivated',
+};
+
+// Movement types that leave the customer active in the month
+const ACTIVE_TYPES = ['new', 'reactivation', 'upgrade', 'downgrade', 'flat'];
+
+function customerSummaries(customers, m) {
+    const last = m.dates.length - 1;
+    const summaries = customers.map((c, index) => {
+        const revenue = c.revenue;
+        const first = revenue.findIndex(v => v > 0);
+        let lastRevenue = -1;
+        revenue.forEach((v, i) => { if (v > 0) lastRevenue = i; });
+        return {
+            index,
+            name: c.name,
+            status: 'churned',
+            first,
+            last: lastRevenue,
+            tenure: 0,
+            currentMRR: revenue[last] || 0,
+            peakMRR: revenue.reduce((max, v) => Math.max(max, v), 0),
+            lifetimeRevenue: revenue.reduce((t, v) => t + v, 0),
+            upgrades: 0,
+            downgrades: 0,
+            revenue,
+        };
+    });
+
+    const reactivated = new Set();
+    m.movements.forEach((records, month) => {
+        records.forEach(r => {
+            const s = summaries[r.customer];
+            if (ACTIVE_TYPES.includes(r.type)) s.tenure++;
+            if (r.type === 'upgrade') s.upgrades++;
+            if (r.type === 'downgrade') s.downgrades++;
+            if (r.type === 'reactivation') reactivated.add(r.customer);
+            if (month === last && ACTIVE_TYPES.includes(r.type)) {
+                s.status = reactivated.has(r.customer) ? 'reactivated' : 'active';
+            }
+        });
+    });
+    return summaries;
+}
+
+// Every classified month of one customer: [{ month, date, type, prev, curr, delta }].
+// delta is the whole change in MRR; a month whose only change is cross-sell is
+// typed 'crossSell'
+function customerTimeline(m, index) {
+    const timeline = [];
+    m.movements.forEach((records, month) => {
+        const own = records.filter(rec => rec.customer === index);
+        const r = own.find(rec => rec.type !== 'crossSell');
+        if (!r) return;
+        const type = r.type === 'flat' && own.length > 1 ? 'crossSell' : r.type;
+        timeline.push({ month, date: m.dates[month], type, prev: r.prev, curr: r.curr, delta: r.curr - r.prev });
+    });
+    return timeline;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CUSTOMER_STATUS, customerSummaries, customerTimeline };
+}
@@ -0,0 +1,98 @@
+/**
+ * MRR Calculator - Metric Definitions
+ *
+ * The choices investors make differently when defining SaaS metrics: how far
+ * back New ARR, growth, TTM NDR/GDR and customer retention look, the cohort
+ * window behind cohort NDR/GDR, which NDR is the headline figure, and how ARR
+ * is annualised. calculateMetrics reads them from its options; the results
+ * page and the export print the ones in use.
+ *
+ * Input of metricDefinitions: options - calculateMetrics options (or saved
+ *   definitions); missing or unrecognised values take the defaults
+ *
+ * Output: { lookbackMonths, cohortWindowMonths, headlineNDR, arrMethod }
+ */
+
+const METRIC_DEFINITIONS = {
+    lookbackMonths: {
+        label: 'Lookback window',
+        default: 12,
+        choices: { 3: '3 months', 6: '6 months', 12: '12 months (TTM, YOY)', 24: '24 months' },
+        note: 'New ARR, growth, TTM NDR/GDR, gross customer retention and customer growth',
+    },
+    cohortWindowMonths: {
+        label: 'Cohort window',
+        default: 12,
+        choices: { 3: '3 months', 6: '6 months', 12: '12 months', 24: '24 months' },
+        note: 'Cohort NDR/GDR: revenue now from the customers active this many months earlier',
+    },
+    headlineNDR: {
+        label: 'Headline NDR',
+        default: 'ttm',
+        choices: { ttm: 'TTM flows', cohort: 'Cohort' },
+        note: 'Listed first in the retention table; TTM flows sums expansion, contraction and churn from the MRR bridge',
+    },
+    arrMethod: {
+        label: 'ARR',
+        default: 'mrr',
+        choices: { mrr: 'Month-end MRR x 12', quarter: 'Trailing quarter MRR x 4' },
+        note: 'Trailing quarter averages the MRR of the last three months, smoothing one-off swings',
+    },
+};
+
+function metricDefinitions(options) {
+    const opts = options || {};
+    const defs = {};
+    Object.keys(METRIC_DEFINITIONS).forEach(key => {
+        const def = METRIC_DEFINITIONS[key];
+        const value = opts[key];
+        const known = value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(def.choices, value);
+        defs[key] = !known ? def.default : typeof def.default === 'number' ? Number(value) : value;
+    });
+    return defs;
+}
+
+// One { label, value, note } per definition, for the results page and the export
+function definitionRows(defs) {
+    const d = metricDefinitions(defs);
+    return Object.keys(METRIC_DEFINITIONS).map(key => ({
+        label: METRIC_DEFINITIONS[key].label,
+        value: METRIC_DEFINITIONS[key].choices[d[key]],
+        note: METRIC_DEFINITIONS[key].note,
+    }));
+}
+
+// The churn grace period as a definition row, or null when it is off. Paused
+// months carry the MRR from before the gap, so the row says so wherever the
+// definitions are printed
+function graceRow(graceMonths) {
+    if (!graceMonths) return null;
+    return {
+        label: 'Churn grace period',
+        value: `${graceMonths} month${graceMonths === 1 ? '' : 's'}`,
+        note: `Zero-revenue gaps of up to ${graceMonths} month${graceMonths === 1 ? '' : 's'} followed by renewed revenue are a pause: ` +
+            'the customer keeps the MRR from before the gap, so End MRR, ARR, concentration and the customer list count it in months the upload shows as 0',
+    };
+}
+
+// Row-label tags for a lookback: TTM and YOY for twelve months, else e.g. 6mo
+function trailingLabel(months) {
+    return months === 12 ? 'TTM' : `${months}mo`;
+}
+
+function growthLabel(months) {
+    return months === 12 ? 'YOY' : `${months}mo`;
+}
+
+// The NDR series the definitions make the headline: its calculateMetrics key
+// and row label, e.g. { key: 'cohortNDR', label: 'Cohort NDR (6mo)' }
+function headlineNDRMetric(options) {
+    const defs = metricDefinitions(options);
+    return defs.headlineNDR === 'cohort'
+        ? { key: 'cohortNDR', label: `Cohort NDR${defs.cohortWindowMonths === 12 ? '' : ` (${defs.cohortWindowMonths}mo)`}` }
+        : { key: 'ttmNDR', label: `${trailingLabel(defs.lookbackMonths)} NDR` };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { METRIC_DEFINITIONS, metricDefinitions, definitionRows, graceRow, trailingLabel, growthLabel, headlineNDRMetric };
+}
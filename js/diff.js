@@ -0,0 +1,115 @@
+/**
+ * MRR Calculator - Restatement Diff
+ *
+ * Compares a prior upload of a company's MRR file with the current one and
+ * lists what was restated: customers added, removed or renamed, historical
+ * cells whose value changed, and the metrics those changes moved.
+ *
+ * Input: prior, current - { customers, dates, metrics } where customers are
+ *   as parsed (billing currency, before conversion) and metrics is the
+ *   calculateMetrics output for that upload
+ *
+ * Output: {
+ *   months    - { added, removed } calendar months only in one of the files
+ *   customers - [{ change: 'added' | 'removed' | 'renamed', name, previousName, latestMRR }]
+ *   cells     - [{ customer, date, before, after, delta }] for months in both files
+ *   metrics   - [{ section, metric, fmt, date, before, after }] for months in both files
+ * }
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { formatValue } = require('./format.js');
+    var { metricSections } = require('./export.js');
+}
+
+// Smallest cell change worth reporting (rounding noise in re-exported files)
+const CELL_TOLERANCE = 0.005;
+
+const diffMonthKey = d => d.year * 12 + d.month - 1;
+const diffNameKey = c => c.name.trim().toLowerCase() + '|' + (c.currency || '');
+
+function diffDatasets(prior, current) {
+    const priorIdx = new Map(prior.dates.map((d, i) => [diffMonthKey(d), i]));
+    const currentIdx = new Map(current.dates.map((d, i) => [diffMonthKey(d), i]));
+    const shared = current.dates.filter(d => priorIdx.has(diffMonthKey(d)));
+    const revenueAt = (c, idx, d) => c.revenue[idx.get(diffMonthKey(d))] || 0;
+
+    // Match customers by name, then pair up leftovers whose shared history is identical
+    const priorByName = new Map(prior.customers.map(c => [diffNameKey(c), c]));
+    const pairs = [];
+    const added = [];
+    current.customers.forEach(c => {
+        const match = priorByName.get(diffNameKey(c));
+        if (match) {
+            pairs.push({ before: match, after: c });
+            priorByName.delete(diffNameKey(c));
+        } else {
+            added.push(c);
+        }
+    });
+    const removed = Array.from(priorByName.values());
+    const customers = [];
+    added.slice().forEach(c => {
+        const sameHistory = r => (r.currency || '') === (c.currency || '') &&
+            shared.some(d => revenueAt(c, currentIdx, d) > 0) &&
+            shared.every(d => Math.abs(revenueAt(c, currentIdx, d) - revenueAt(r, priorIdx, d)) < CELL_TOLERANCE);
+        const renamed = removed.find(sameHistory);
+        if (!renamed) return;
+        removed.splice(removed.indexOf(renamed), 1);
+        added.splice(added.indexOf(c), 1);
+        pairs.push({ before: renamed, after: c });
+        customers.push({ change: 'renamed', name: c.name, previousName: renamed.name, latestMRR: c.revenue[c.revenue.length - 1] });
+    });
+    added.forEach(c => customers.push({ change: 'added', name: c.name, previousName: null, latestMRR: c.revenue[c.revenue.length - 1] }));
+    removed.forEach(c => customers.push({ change: 'removed', name: c.name, previousName: null, latestMRR: c.revenue[c.revenue.length - 1] }));
+
+    const cells = [];
+    pairs.forEach(({ before, after }) => {
+        shared.forEach(d => {
+            const was = revenueAt(before, priorIdx, d);
+            const now = revenueAt(after, currentIdx, d);
+            if (Math.abs(now - was) >= CELL_TOLERANCE) {
+                cells.push({ customer: after.name, date: d, before: was, after: now, delta: now - was });
+            }
+        });
+    });
+
+    // A metric counts as moved when its displayed value changes. Rows are matched
+    // by label, since a section can show a row in one upload only (Cross-sell
+    // needs product lines). A row missing from one upload reads blank there and
+    // is reported only for months the other upload puts a value other than zero in
+    const metrics = [];
+    metricSections().forEach(section => {
+        const priorRows = new Map(section.rows(prior.metrics).map(row => [row.label, row]));
+        const currentRows = new Map(section.rows(current.metrics).map(row => [row.label, row]));
+        const labels = Array.from(currentRows.keys()).concat(Array.from(priorRows.keys()).filter(l => !currentRows.has(l)));
+        labels.forEach(label => {
+            const before = priorRows.get(label);
+            const after = currentRows.get(label);
+            const fmt = (after || before).fmt;
+            shared.forEach(d => {
+                const was = before ? before.data[priorIdx.get(diffMonthKey(d))] : null;
+                const now = after ? after.data[currentIdx.get(diffMonthKey(d))] : null;
+                if ((!before || !after) && !was && !now) return;
+                if (formatValue(was, fmt) !== formatValue(now, fmt)) {
+                    metrics.push({ section: section.title, metric: label, fmt, date: d, before: was ?? null, after: now ?? null });
+                }
+            });
+        });
+    });
+
+    return {
+        months: {
+            added: current.dates.filter(d => !priorIdx.has(diffMonthKey(d))),
+            removed: prior.dates.filter(d => !currentIdx.has(diffMonthKey(d))),
+        },
+        customers,
+        cells,
+        metrics,
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { diffDatasets };
+}
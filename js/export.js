@@ -0,0 +1,669 @@
+/**
+ * MRR Calculator - Metric Rows and Excel Export
+ *
+ * Row definitions shared by the results tables, the segment breakdown and the
+ * workbook, plus the workbook builder used by the page and the CLI.
+ *
+ * Each row is { label, data, fmt, cls?, total?, drill?, benchmark? } where data
+ * is a calculateMetrics (or rollupMetrics) series, fmt is a formatValue format
+ * and benchmark is the benchmark set metric its latest value is ranked against.
+ *
+ * Input: inputs - { sourceCustomers, customers, currency, dates, dimensions }
+ *   as assembled before calculateMetrics runs
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { currencySymbol } = require('./currency.js');
+    var { formatDate, formatMonth } = require('./format.js');
+    var { periodLabels, cohortLabel, cohortAgeLabel } = require('./periods.js');
+    var { paretoCurve } = require('./concentration.js');
+    var { metricDefinitions, definitionRows, graceRow, trailingLabel, growthLabel } = require('./definitions.js');
+}
+
+// SheetJS: the page loads it from the CDN, the CLI from node_modules
+function sheetJS() {
+    return typeof XLSX !== 'undefined' ? XLSX : require('xlsx');
+}
+
+// ===== METRIC ROWS =====
+
+// Cross-sell is only shown when the data has product lines
+function bridgeRows(m) {
+    const rows = [
+        { label: 'Begin', data: m.beginMRR, fmt: 'currency', drill: 'begin' },
+        { label: 'New', data: m.newMRR, fmt: 'currency', cls: 'positive', drill: 'new' },
+        { label: 'Reactivation', data: m.reactivationMRR, fmt: 'currency', cls: 'positive', drill: 'reactivation' },
+        { label: 'Cross-sell', data: m.crossSellMRR, fmt: 'currency', cls: 'positive', drill: 'crossSell' },
+        { label: 'Upgrade', data: m.upgradeMRR, fmt: 'currency', cls: 'positive', drill: 'upgrade' },
+        { label: 'Downgrade', data: m.downgradeMRR, fmt: 'currency', cls: 'negative', drill: 'downgrade' },
+        { label: 'Churn', data: m.churnMRR, fmt: 'currency', cls: 'negative', drill: 'churn' },
+        { label: 'End', data: m.endMRR, fmt: 'currency', total: true, drill: 'end' },
+    ];
+    return m.products.length > 0 ? rows : rows.filter(row => row.data !== m.crossSellMRR);
+}
+
+// One product line's bridge (an entry of m.productBridges)
+function productBridgeRows(bridge) {
+    return [
+        { label: 'Begin', data: bridge.beginMRR, fmt: 'currency' },
+        { label: 'New', data: bridge.newMRR, fmt: 'currency', cls: 'positive' },
+        { label: 'Reactivation', data: bridge.reactivationMRR, fmt: 'currency', cls: 'positive' },
+        { label: 'Cross-sell', data: bridge.crossSellMRR, fmt: 'currency', cls: 'positive' },
+        { label: 'Upgrade', data: bridge.upgradeMRR, fmt: 'currency', cls: 'positive' },
+        { label: 'Downgrade', data: bridge.downgradeMRR, fmt: 'currency', cls: 'negative' },
+        { label: 'Churn', data: bridge.churnMRR, fmt: 'currency', cls: 'negative' },
+        { label: 'End', data: bridge.endMRR, fmt: 'currency', total: true },
+        { label: 'Customers (#)', data: bridge.customers, fmt: 'number' },
+    ];
+}
+
+// Lookback rows are labelled with the metric definitions they were calculated with
+function growthRows(m) {
+    const defs = metricDefinitions(m.definitions);
+    return [
+        { label: 'ARR', data: m.arr, fmt: 'currency' },
+        { label: 'MRR', data: m.mrr, fmt: 'currency' },
+        { label: `New ARR (${trailingLabel(defs.lookbackMonths)})`, data: m.newARR, fmt: 'currency' },
+        { label: `${growthLabel(defs.lookbackMonths)} Growth`, data: m.yoyGrowth, fmt: 'percent', benchmark: 'yoyGrowth' },
+        { label: 'Max Customer Win', data: m.maxCustomerWin, fmt: 'currency' },
+        { label: 'Avg Customer Win', data: m.avgCustomerWin, fmt: 'currency' },
+    ];
+}
+
+// The headline NDR method comes first and carries the NDR benchmark
+function retentionRows(m) {
+    const defs = metricDefinitions(m.definitions);
+    const trailing = trailingLabel(defs.lookbackMonths);
+    const cohort = defs.cohortWindowMonths === 12 ? '' : ` (${defs.cohortWindowMonths}mo)`;
+    const ttmRows = [
+        { label: `${trailing} NDR`, data: m.ttmNDR, fmt: 'percent' },
+        { label: `${trailing} GDR`, data: m.ttmGDR, fmt: 'percent', benchmark: 'ttmGDR' },
+    ];
+    const cohortRows = [
+        { label: `Cohort NDR${cohort}`, data: m.cohortNDR, fmt: 'percent' },
+        { label: `Cohort GDR${cohort}`, data: m.cohortGDR, fmt: 'percent' },
+    ];
+    const headline = defs.headlineNDR === 'cohort' ? cohortRows.concat(ttmRows) : ttmRows.concat(cohortRows);
+    headline[0].benchmark = 'ttmNDR';
+    const rows = [
+        { label: 'Net New MRR', data: m.netNewMRR, fmt: 'currency' },
+        ...headline,
+    ];
+    // Quarterly and fiscal-year views also show retention within each period
+    if (m.periodNDR) {
+        rows.push(
+            { label: 'Period NDR', data: m.periodNDR, fmt: 'percent' },
+            { label: 'Period GDR', data: m.periodGDR, fmt: 'percent' }
+        );
+    }
+    return rows;
+}
+
+function udcRows(m) {
+    return [
+        { label: 'Upgrades (#)', data: m.upgradeCount, fmt: 'number', drill: 'upgrade' },
+        { label: 'Downgrades (#)', data: m.downgradeCount, fmt: 'number', drill: 'downgrade' },
+        { label: 'Max Upgrade', data: m.maxUpgrade, fmt: 'currency', drill: 'upgrade' },
+        { label: 'Avg Upgrade', data: m.avgUpgrade, fmt: 'currency', drill: 'upgrade' },
+        { label: 'Max Downgrade', data: m.maxDowngrade, fmt: 'currency', drill: 'downgrade' },
+        { label: 'Avg Downgrade', data: m.avgDowngrade, fmt: 'currency', drill: 'downgrade' },
+        { label: 'Max Churn', data: m.maxChurn, fmt: 'currency', drill: 'churn' },
+        { label: 'Avg Churn', data: m.avgChurn, fmt: 'currency', drill: 'churn' },
+    ];
+}
+
+function customerRows(m) {
+    const defs = metricDefinitions(m.definitions);
+    return [
+        { label: 'Begin', data: m.beginCustomers, fmt: 'number', drill: 'begin' },
+        { label: 'New', data: m.newCustomers, fmt: 'number', drill: 'new' },
+        { label: 'Reactivated', data: m.reactivatedCustomers, fmt: 'number', drill: 'reactivation' },
+        { label: 'Churn', data: m.churnedCustomers, fmt: 'number', drill: 'churn' },
+        { label: 'End', data: m.endCustomers, fmt: 'number', total: true, drill: 'end' },
+        { label: 'ACV', data: m.acv, fmt: 'currency', benchmark: 'acv' },
+        { label: 'Largest Customer', data: m.largestCustomer, fmt: 'currency' },
+        { label: 'Max Concentration', data: m.maxConcentration, fmt: 'percent' },
+        { label: `Gross Cust. Retention (${trailingLabel(defs.lookbackMonths)})`, data: m.grossCustomerRetention, fmt: 'percent', benchmark: 'grossCustomerRetention' },
+        { label: `Customer Growth (${growthLabel(defs.lookbackMonths)})`, data: m.customerGrowth, fmt: 'percent' },
+    ];
+}
+
+// Rows whose financial inputs were not supplied are left out
+function efficiencyRows(m) {
+    return [
+        { label: 'Net Loss', data: m.netLoss, fmt: 'currency' },
+        { label: 'S&M Spend', data: m.salesMarketing, fmt: 'currency' },
+        { label: 'Gross Margin', data: m.grossMargin, fmt: 'percent' },
+        { label: 'Cash Balance', data: m.cashBalance, fmt: 'currency' },
+        { label: 'TTM New ARR / TTM Net Loss', data: m.ttmNewARRoverLoss, fmt: 'ratio' },
+        { label: 'Payback Period (TTM)', data: m.ttmPayback, fmt: 'ratio' },
+        { label: '6mo New ARR / 6mo Net Loss', data: m.sixMoNewARRoverLoss, fmt: 'ratio' },
+        { label: 'Payback Period (6mo)', data: m.sixMoPayback, fmt: 'ratio' },
+        { label: 'CAC Payback', data: m.cacPayback, fmt: 'months', benchmark: 'cacPayback' },
+        { label: 'Magic Number', data: m.magicNumber, fmt: 'ratio', benchmark: 'magicNumber' },
+        { label: 'Burn Multiple (3mo)', data: m.burnMultiple, fmt: 'ratio', benchmark: 'burnMultiple' },
+        { label: 'Runway', data: m.runway, fmt: 'months' },
+    ].filter(row => row.data);
+}
+
+// Trailing-twelve-month unit economics; rows needing inputs that were not supplied are left out
+function unitEconomicsRows(m) {
+    return [
+        { label: 'Logo Churn (monthly)', data: m.logoChurnRate, fmt: 'percent' },
+        { label: 'Customer Lifetime', data: m.customerLifetime, fmt: 'months' },
+        { label: 'ARPA (monthly)', data: m.arpa, fmt: 'currency' },
+        { label: 'LTV', data: m.ltv, fmt: 'currency' },
+        { label: 'New-Logo CAC', data: m.newLogoCAC, fmt: 'currency' },
+        { label: 'Blended CAC', data: m.blendedCAC, fmt: 'currency' },
+        { label: 'LTV / CAC', data: m.ltvToCAC, fmt: 'ratio' },
+        { label: 'CAC Payback (GM-adjusted)', data: m.gmCACPayback, fmt: 'months' },
+    ].filter(row => row.data);
+}
+
+function concentrationRows(m) {
+    const rows = [
+        { label: 'Largest Customer Share', data: m.maxConcentration, fmt: 'percent' },
+        { label: 'Top 5 Share', data: m.top5Share, fmt: 'percent' },
+        { label: 'Top 10 Share', data: m.top10Share, fmt: 'percent' },
+        { label: 'Top 20 Share', data: m.top20Share, fmt: 'percent' },
+        { label: 'HHI', data: m.hhi, fmt: 'number' },
+    ];
+    m.sizeBands.forEach(band => rows.push({ label: `${band.label} (#)`, data: band.customers, fmt: 'number' }));
+    m.sizeBands.forEach(band => rows.push({ label: `${band.label} ARR`, data: band.arr, fmt: 'currency' }));
+    return rows;
+}
+
+// Time-series sections shared by the segment breakdown and the per-segment export sheets
+function metricSections() {
+    return [
+        { title: 'MRR Bridge', rows: bridgeRows },
+        { title: 'Growth', rows: growthRows },
+        { title: 'Retention', rows: retentionRows },
+        { title: 'Upgrade / Downgrade / Churn', rows: udcRows },
+        { title: 'Customers', rows: customerRows },
+    ];
+}
+
+// ===== WORKBOOK =====
+
+/**
+ * Build the export workbook from monthly or rolled-up metrics. options:
+ *   formulas  - write live Excel formulas for derived rows (monthly only)
+ *   dimension - segment dimension label, with
+ *   segments  - [{ value, metrics }] for one sheet per segment
+ */
+function buildWorkbook(m, inputs, options) {
+    const XLSX = sheetJS();
+    const opts = options || {};
+    const currency = inputs.currency;
+    const labels = periodLabels(m);
+
+    const wb = XLSX.utils.book_new();
+
+    // Time-series sheets, mirroring the rendered tables
+    const sheets = [
+        { name: 'MRR Bridge', rows: bridgeRows(m) },
+        { name: 'Growth', rows: growthRows(m) },
+        { name: 'Retention', rows: retentionRows(m) },
+        { name: 'UDC Details', rows: udcRows(m) },
+        { name: 'Customers', rows: customerRows(m) },
+    ];
+    const efficiency = efficiencyRows(m);
+    if (efficiency.length > 0) sheets.push({ name: 'Efficiency', rows: efficiency });
+    const unitEconomics = unitEconomicsRows(m);
+    if (unitEconomics.length > 0) sheets.push({ name: 'Unit Economics', rows: unitEconomics });
+    sheets.push({ name: 'Concentration', rows: concentrationRows(m) });
+
+    // Sheet and row of every exported series, so formulas can reference each other
+    const layout = new Map();
+    sheets.forEach(sheet => {
+        sheet.rows.forEach((row, r) => layout.set(row.data, { sheet: sheet.name, row: r + 2 }));
+    });
+    const formulas = opts.formulas && !m.periods ? liveFormulas(m, layout) : new Map();
+
+    sheets.forEach(sheet => {
+        const ws = metricSheet(sheet.rows, labels, formulas, currency);
+        if (sheet.name === 'Concentration') addParetoBlock(ws, m, sheet.rows.length + 2, labels, currency);
+        XLSX.utils.book_append_sheet(wb, ws, sheet.name);
+    });
+
+    XLSX.utils.book_append_sheet(wb, cohortSheet(m, currency), 'Cohorts');
+    if (m.products.length > 0) XLSX.utils.book_append_sheet(wb, productSheet(m, labels, currency), 'Products');
+
+    // One sheet per segment of the selected dimension
+    (opts.segments || []).forEach(({ value, metrics }) => {
+        const segData = [[opts.dimension, value]];
+        const segFormats = [];
+        metricSections().forEach(section => {
+            segData.push([]);
+            segData.push([section.title, ...labels]);
+            section.rows(metrics).forEach(row => {
+                segFormats[segData.length] = row.fmt;
+                segData.push([row.label, ...row.data.map(v => v ?? null)]);
+            });
+        });
+        const segSheet = XLSX.utils.aoa_to_sheet(segData);
+        applyRowFormats(segSheet, segFormats, labels.length, currency);
+        segSheet['!cols'] = columnWidths(labels.length);
+        segSheet['!pane'] = { xSplit: 1, ySplit: 0 };
+        XLSX.utils.book_append_sheet(wb, segSheet, uniqueSheetName(wb, value));
+    });
+
+    XLSX.utils.book_append_sheet(wb, inputSheet(inputs), 'Input');
+    XLSX.utils.book_append_sheet(wb, definitionsSheet(m), 'Definitions');
+
+    // The definitions also go in the file's custom properties
+    wb.Custprops = {};
+    definitionRows(m.definitions).concat(graceRow(m.graceMonths) || []).forEach(row => {
+        wb.Custprops[row.label] = row.value;
+    });
+    return wb;
+}
+
+// Header row of dates, one row per metric; number formats follow formatValue
+function metricSheet(rows, labels, formulas, currency) {
+    const XLSX = sheetJS();
+    const data = [[`Metric (${currency})`, ...labels]];
+    rows.forEach(row => data.push([row.label, ...row.data.map(v => v ?? null)]));
+    const ws = XLSX.utils.aoa_to_sheet(data);
+
+    rows.forEach((row, r) => {
+        const formula = formulas.get(row.data);
+        for (let i = 0; i < labels.length; i++) {
+            const addr = XLSX.utils.encode_cell({ r: r + 1, c: i + 1 });
+            const f = formula ? formula(i) : null;
+            if (f) {
+                const val = row.data[i];
+                ws[addr] = val === null || val === undefined ? { t: 's', v: '' } : { t: 'n', v: val };
+                ws[addr].f = f;
+            }
+            if (ws[addr]) ws[addr].z = excelNumberFormat(row.fmt, currency);
+        }
+    });
+
+    ws['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: labels.length } });
+    ws['!cols'] = columnWidths(labels.length);
+    ws['!pane'] = { xSplit: 1, ySplit: 1 };
+    return ws;
+}
+
+// Pareto curve at the last month (or period) below the concentration rows
+function addParetoBlock(ws, m, startRow, labels, currency) {
+    const XLSX = sheetJS();
+    const last = labels.length - 1;
+    if (last < 0) return;
+    const curve = paretoCurve(m, last);
+    const data = [
+        [`Pareto Curve \u2014 ${labels[last]}`],
+        ['Rank', 'Customer', `ARR (${currency})`, '% of Customers', 'Cumulative % of ARR'],
+        ...curve.map(p => [p.rank, p.name, p.arr, p.customerShare, p.arrShare]),
+    ];
+    XLSX.utils.sheet_add_aoa(ws, data, { origin: { r: startRow, c: 0 } });
+    curve.forEach((p, i) => {
+        const r = startRow + 2 + i;
+        ws[XLSX.utils.encode_cell({ r, c: 2 })].z = excelNumberFormat('currency', currency);
+        ws[XLSX.utils.encode_cell({ r, c: 3 })].z = excelNumberFormat('percent', currency);
+        ws[XLSX.utils.encode_cell({ r, c: 4 })].z = excelNumberFormat('percent', currency);
+    });
+}
+
+// Formulas for the derived bridge, growth, retention, customer and efficiency
+// rows, so the workbook recalculates like the MRR spreadsheet model.
+// Classified flows (new, upgrade, churn...) and cohort metrics stay as values.
+function liveFormulas(m, layout) {
+    const XLSX = sheetJS();
+    const at = (series, i) => {
+        const loc = layout.get(series);
+        return `'${loc.sheet}'!${XLSX.utils.encode_cell({ r: loc.row - 1, c: i + 1 })}`;
+    };
+    const range = (series, from, to) => {
+        const loc = layout.get(series);
+        const a = XLSX.utils.encode_cell({ r: loc.row - 1, c: from + 1 });
+        const b = XLSX.utils.encode_cell({ r: loc.row - 1, c: to + 1 });
+        return `'${loc.sheet}'!${a}:${b}`;
+    };
+    const sum = (series, from, to) => `SUM(${range(series, from, to)})`;
+
+    const formulas = new Map();
+    const defs = metricDefinitions(m.definitions);
+    const lookback = defs.lookbackMonths;
+    // Expansion flows: cross-sell is only exported when there are product lines
+    const expansion = layout.has(m.crossSellMRR) ? [m.crossSellMRR, m.upgradeMRR] : [m.upgradeMRR];
+
+    // MRR Bridge
+    formulas.set(m.beginMRR, i => i === 0 ? '0' : at(m.endMRR, i - 1));
+    formulas.set(m.endMRR, i => [m.beginMRR, m.newMRR, m.reactivationMRR, ...expansion, m.downgradeMRR, m.churnMRR]
+        .map(series => at(series, i)).join('+'));
+
+    // Growth
+    formulas.set(m.arr, i => defs.arrMethod === 'quarter'
+        ? `AVERAGE(${range(m.endMRR, Math.max(0, i - 2), i)})*12`
+        : `${at(m.endMRR, i)}*12`);
+    formulas.set(m.mrr, i => at(m.endMRR, i));
+    formulas.set(m.newARR, i => i >= lookback ? `${at(m.arr, i)}-${at(m.arr, i - lookback)}` : null);
+    formulas.set(m.yoyGrowth, i => i >= lookback
+        ? `IF(${at(m.mrr, i - lookback)}=0,"",${at(m.mrr, i)}/${at(m.mrr, i - lookback)}-1)`
+        : null);
+
+    // Retention
+    formulas.set(m.netNewMRR, i => [...expansion, m.downgradeMRR, m.churnMRR].map(series => at(series, i)).join('+'));
+    formulas.set(m.ttmNDR, i => {
+        if (i < lookback) return null;
+        const begin = at(m.beginMRR, i - lookback + 1);
+        const flows = [...expansion, m.downgradeMRR, m.churnMRR].map(series => sum(series, i - lookback + 1, i)).join('+');
+        return `IF(${begin}=0,"",(${flows}+${begin})/${begin})`;
+    });
+    formulas.set(m.ttmGDR, i => {
+        if (i < lookback) return null;
+        const begin = at(m.beginMRR, i - lookback + 1);
+        const flows = [m.downgradeMRR, m.churnMRR].map(series => sum(series, i - lookback + 1, i)).join('+');
+        return `IF(${begin}=0,"",(${flows}+${begin})/${begin})`;
+    });
+
+    // Customers
+    formulas.set(m.beginCustomers, i => i === 0 ? '0' : at(m.endCustomers, i - 1));
+    formulas.set(m.endCustomers, i => [m.beginCustomers, m.newCustomers, m.reactivatedCustomers, m.churnedCustomers]
+        .map(series => at(series, i)).join('+'));
+    formulas.set(m.acv, i => `IF(${at(m.endCustomers, i)}>0,${at(m.endMRR, i)}/${at(m.endCustomers, i)}*12,"")`);
+    formulas.set(m.maxConcentration, i => `IF(AND(${at(m.endMRR, i)}>0,${at(m.largestCustomer, i)}<>""),${at(m.largestCustomer, i)}/(${at(m.endMRR, i)}*12),"")`);
+    formulas.set(m.grossCustomerRetention, i => {
+        if (i < lookback) return null;
+        const begin = at(m.beginCustomers, i - lookback + 1);
+        return `IF(${begin}=0,"",(${sum(m.churnedCustomers, i - lookback + 1, i)}+${begin})/${begin})`;
+    });
+    formulas.set(m.customerGrowth, i => i >= lookback
+        ? `IF(${at(m.endCustomers, i - lookback)}>0,${at(m.endCustomers, i)}/${at(m.endCustomers, i - lookback)}-1,"")`
+        : null);
+
+    // Efficiency
+    if (m.netLoss) {
+        formulas.set(m.ttmNewARRoverLoss, i => {
+            if (i < 12) return null;
+            const loss = sum(m.netLoss, i - 11, i);
+            return `IF(${loss}=0,"",(${at(m.arr, i)}-${at(m.arr, i - 12)})/(${loss}*-1))`;
+        });
+        formulas.set(m.ttmPayback, i => i >= 12
+            ? `IF(OR(${at(m.ttmNewARRoverLoss, i)}="",${at(m.ttmNewARRoverLoss, i)}=0),"",1/${at(m.ttmNewARRoverLoss, i)})`
+            : null);
+        formulas.set(m.sixMoNewARRoverLoss, i => {
+            if (i < 5) return null;
+            const loss = sum(m.netLoss, i - 5, i);
+            const flows = [m.newMRR, m.reactivationMRR, ...expansion, m.downgradeMRR, m.churnMRR]
+                .map(series => sum(series, i - 5, i)).join('+');
+            return `IF(${loss}=0,"",(${flows})*12/(${loss}*-1))`;
+        });
+        formulas.set(m.sixMoPayback, i => i >= 5
+            ? `IF(OR(${at(m.sixMoNewARRoverLoss, i)}="",${at(m.sixMoNewARRoverLoss, i)}=0),"",1/${at(m.sixMoNewARRoverLoss, i)})`
+            : null);
+    }
+
+    return formulas;
+}
+
+// Cohorts sheet: one block per view, each row an acquisition cohort
+function cohortSheet(m, currency) {
+    const XLSX = sheetJS();
+    const maxAge = m.cohorts.reduce((max, c) => Math.max(max, c.mrr.length), 0);
+    const ageHeaders = Array.from({ length: maxAge }, (_, k) => cohortAgeLabel(m, k));
+    const data = [];
+    const formats = [];
+    [
+        [`Retained MRR (${currency})`, 'mrr', 'currency'],
+        ['Retained MRR (%)', 'mrrPct', 'percent'],
+        ['Logos (#)', 'customers', 'number'],
+        ['Logos (%)', 'customersPct', 'percent'],
+    ].forEach(([title, key, fmt], i) => {
+        if (i > 0) data.push([]);
+        data.push([title]);
+        data.push(['Cohort', 'Customers', 'Starting MRR', ...ageHeaders]);
+        m.cohorts.forEach(c => {
+            formats[data.length] = fmt;
+            data.push([cohortLabel(m, c), c.startCustomers, c.startMRR, ...c[key].map(v => v ?? null)]);
+        });
+    });
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    applyRowFormats(ws, formats, maxAge + 2, currency);
+    formats.forEach((fmt, r) => {
+        const countCell = ws[XLSX.utils.encode_cell({ r, c: 1 })];
+        const mrrCell = ws[XLSX.utils.encode_cell({ r, c: 2 })];
+        if (countCell) countCell.z = excelNumberFormat('number', currency);
+        if (mrrCell) mrrCell.z = excelNumberFormat('currency', currency);
+    });
+    ws['!cols'] = columnWidths(maxAge + 2);
+    ws['!pane'] = { xSplit: 1, ySplit: 0 };
+    return ws;
+}
+
+// Products sheet: one bridge block per product line
+function productSheet(m, labels, currency) {
+    const XLSX = sheetJS();
+    const data = [];
+    const formats = [];
+    m.productBridges.forEach((bridge, i) => {
+        if (i > 0) data.push([]);
+        data.push([`${bridge.product} (${currency})`, ...labels]);
+        productBridgeRows(bridge).forEach(row => {
+            formats[data.length] = row.fmt;
+            data.push([row.label, ...row.data.map(v => v ?? null)]);
+        });
+    });
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    applyRowFormats(ws, formats, labels.length, currency);
+    ws['!cols'] = columnWidths(labels.length);
+    ws['!pane'] = { xSplit: 1, ySplit: 0 };
+    return ws;
+}
+
+// The metric definitions the figures were calculated with
+function definitionsSheet(m) {
+    const XLSX = sheetJS();
+    const data = [['Definition', 'Setting', 'Applies to']];
+    definitionRows(m.definitions).concat(graceRow(m.graceMonths) || []).forEach(row => data.push([row.label, row.value, row.note]));
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    ws['!cols'] = [{ wch: 18 }, { wch: 26 }, { wch: 90 }];
+    return ws;
+}
+
+// The customer data exactly as uploaded (before currency conversion); customers
+// with product lines get one row per product, plus one for any MRR not assigned
+// to a product
+function inputSheet(inputs) {
+    const XLSX = sheetJS();
+    const dims = inputs.dimensions;
+    const hasCurrency = inputs.sourceCustomers.some(c => c.currency);
+    const hasProducts = inputs.sourceCustomers.some(c => c.products && Object.keys(c.products).length > 0);
+    const header = ['Customer', ...dims];
+    if (hasCurrency) header.push('Currency');
+    if (hasProducts) header.push('Product');
+    header.push(...inputs.dates.map(d => formatDate(d)));
+
+    const data = [header];
+    inputs.sourceCustomers.forEach(c => {
+        const lead = [c.name, ...dims.map(d => c.attributes[d])];
+        if (hasCurrency) lead.push(c.currency || '');
+        if (!hasProducts) {
+            data.push([...lead, ...c.revenue]);
+            return;
+        }
+        const products = c.products || {};
+        let rest = c.revenue.slice();
+        Object.keys(products).forEach(p => {
+            data.push([...lead, p, ...products[p]]);
+            rest = rest.map((v, i) => v - products[p][i]);
+        });
+        if (rest.some(v => Math.abs(v) > 0.005)) data.push([...lead, '', ...rest]);
+    });
+
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    const firstValueCol = header.length - inputs.dates.length;
+    for (let r = 1; r < data.length; r++) {
+        for (let c = firstValueCol; c < header.length; c++) {
+            const cell = ws[XLSX.utils.encode_cell({ r, c })];
+            if (cell) cell.z = '#,##0';
+        }
+    }
+    ws['!cols'] = [{ wch: 28 }].concat(header.slice(1).map(() => ({ wch: 12 })));
+    ws['!pane'] = { xSplit: firstValueCol, ySplit: 1 };
+    return ws;
+}
+
+// ===== RESTATEMENTS =====
+
+// Standalone workbook for a diffDatasets result: one sheet with a block each
+// for customer changes, restated cells and moved metrics
+function buildDiffWorkbook(diff, currency) {
+    const XLSX = sheetJS();
+    const data = [];
+    const formats = {};
+    const setFormat = (r, c, fmt) => { (formats[r] = formats[r] || {})[c] = fmt; };
+
+    data.push(['Customer changes']);
+    data.push(['Change', 'Customer', 'Previous name', `Latest MRR (${currency})`]);
+    diff.customers.forEach(c => {
+        setFormat(data.length, 3, 'currency');
+        data.push([c.change, c.name, c.previousName || '', c.latestMRR]);
+    });
+    if (diff.customers.length === 0) data.push(['None']);
+
+    data.push([]);
+    data.push(['Restated cells (billing currency)']);
+    data.push(['Customer', 'Month', 'Before', 'After', 'Change']);
+    diff.cells.forEach(c => {
+        [2, 3, 4].forEach(col => setFormat(data.length, col, 'number'));
+        data.push([c.customer, formatDate(c.date), c.before, c.after, c.delta]);
+    });
+    if (diff.cells.length === 0) data.push(['None']);
+
+    data.push([]);
+    data.push(['Metric changes']);
+    data.push(['Section', 'Metric', 'Month', 'Before', 'After']);
+    diff.metrics.forEach(m => {
+        [3, 4].forEach(col => setFormat(data.length, col, m.fmt));
+        data.push([m.section, m.metric, formatDate(m.date), m.before, m.after]);
+    });
+    if (diff.metrics.length === 0) data.push(['None']);
+
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    Object.keys(formats).forEach(r => {
+        Object.keys(formats[r]).forEach(c => {
+            const cell = ws[XLSX.utils.encode_cell({ r: +r, c: +c })];
+            if (cell && cell.t === 'n') cell.z = excelNumberFormat(formats[r][c], currency);
+        });
+    });
+    ws['!cols'] = [{ wch: 28 }, { wch: 28 }, { wch: 28 }, { wch: 14 }, { wch: 14 }];
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Restatements');
+    return wb;
+}
+
+// formats[r] is the formatValue format for sheet row r (0-indexed); columns 1..numCols
+function applyRowFormats(ws, formats, numCols, currency) {
+    const XLSX = sheetJS();
+    formats.forEach((fmt, r) => {
+        for (let c = 1; c <= numCols; c++) {
+            const cell = ws[XLSX.utils.encode_cell({ r, c })];
+            if (cell && cell.t === 'n') cell.z = excelNumberFormat(fmt, currency);
+        }
+    });
+}
+
+function excelNumberFormat(fmt, currency) {
+    const symbol = currencySymbol(currency).replace(/"/g, '');
+    switch (fmt) {
+        case 'currency':
+            return `"${symbol}"#,##0;-"${symbol}"#,##0`;
+        case 'percent':
+            return '0.0%';
+        case 'number':
+            return '#,##0';
+        case 'ratio':
+            return '0.00"x"';
+        case 'months':
+            return '0.0" mo"';
+        default:
+            return 'General';
+    }
+}
+
+function columnWidths(numCols) {
+    return [{ wch: 28 }].concat(Array.from({ length: numCols }, () => ({ wch: 12 })));
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+function uniqueSheetName(wb, name) {
+    const base = String(name).replace(/[\[\]:*?\/\\]/g, '-').slice(0, 31) || 'Sheet';
+    let candidate = base;
+    let n = 2;
+    while (wb.SheetNames.includes(candidate)) {
+        const suffix = ` (${n++})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    return candidate;
+}
+
+// SheetJS Community Edition does not write frozen panes, so patch the
+// <sheetView> of each sheet that carries a '!pane'. Returns the .xlsx bytes.
+function workbookBytes(wb) {
+    const XLSX = sheetJS();
+    const data = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    const pkg = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+
+    wb.SheetNames.forEach((name, i) => {
+        const pane = wb.Sheets[name]['!pane'];
+        if (!pane || (!pane.xSplit && !pane.ySplit)) return;
+        const idx = pkg.FullPaths.findIndex(p => p.endsWith(`/xl/worksheets/sheet${i + 1}.xml`));
+        if (idx === -1) return;
+        const entry = pkg.FileIndex[idx];
+
+        const topLeft = XLSX.utils.encode_cell({ r: pane.ySplit || 0, c: pane.xSplit || 0 });
+        const activePane = pane.xSplit && pane.ySplit ? 'bottomRight' : pane.xSplit ? 'topRight' : 'bottomLeft';
+        let paneXml = '<pane';
+        if (pane.xSplit) paneXml += ` xSplit="${pane.xSplit}"`;
+        if (pane.ySplit) paneXml += ` ySplit="${pane.ySplit}"`;
+        paneXml += ` topLeftCell="${topLeft}" activePane="${activePane}" state="frozen"/>`;
+
+        const xml = new TextDecoder().decode(entry.content);
+        entry.content = new TextEncoder().encode(
+            xml.replace('<sheetView workbookViewId="0"/>', `<sheetView workbookViewId="0">${paneXml}</sheetView>`)
+        );
+    });
+
+    return new Uint8Array(XLSX.CFB.write(pkg, { fileType: 'zip', type: 'array' }));
+}
+
+// ===== JSON =====
+
+// Every metric series keyed by name, months as YYYY-MM. Customer-level
+// movements are left out; cohorts are included. Rolled-up metrics add the
+// period labels, with months holding the last month of each period.
+function metricsToJSON(m, inputs) {
+    const metrics = {};
+    Object.keys(m).forEach(key => {
+        if (key === 'dates' || key === 'movements' || key === 'cohorts' || key === 'periods') return;
+        if (Array.isArray(m[key])) metrics[key] = m[key];
+    });
+    const json = {
+        currency: inputs.currency,
+        definitions: metricDefinitions(m.definitions),
+        graceMonths: m.graceMonths || 0,
+        months: m.dates.map(d => formatMonth(d)),
+        customers: inputs.customers.length,
+        metrics,
+        cohorts: m.cohorts.map(c => Object.assign({ month: formatMonth(c.date) }, c, { date: undefined })),
+    };
+    if (m.periods) {
+        json.period = m.period;
+        json.periods = periodLabels(m);
+    }
+    return json;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        bridgeRows, productBridgeRows, growthRows, retentionRows, udcRows, customerRows, efficiencyRows, unitEconomicsRows, concentrationRows,
+        metricSections,
+        buildWorkbook, buildDiffWorkbook, workbookBytes, metricsToJSON, uniqueSheetName,
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * MRR Calculator - Financial Inputs
+ *
+ * Company-level monthly figures behind the efficiency metrics, and the readers
+ * that fill them in from a pasted spreadsheet row, a file with a Month column,
+ * labelled rows in the MRR grid itself, or another sheet of the workbook.
+ *
+ * Output of the readers: { netLoss, salesMarketing, grossMargin, cash } with
+ *   each series aligned to dates (null for months without a value); series the
+ *   source does not mention are left out
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { locateGrid, rowName, parseNumberText, parseMonthColumns } = require('./parser.js');
+    var { timelinePlan, applyTimeline } = require('./timeline.js');
+}
+
+// Row and column labels each series is recognised by; a balance is a level at
+// the end of the month rather than a monthly flow
+const FINANCIAL_SERIES = {
+    netLoss: { label: 'Net Loss', pattern: /^net\s*(loss|income)$/i },
+    salesMarketing: { label: 'S&M Spend', pattern: /^(s\s*&\s*m|sales\s*(and|&)\s*marketing)(\s*(spend|expenses?))?$/i },
+    grossMargin: { label: 'Gross Margin %', pattern: /^gross\s*margin(\s*%)?$/i, balance: true },
+    cash: { label: 'Cash Balance', pattern: /^cash(\s*balance)?$/i, balance: true },
+};
+
+function financialSeriesKey(label) {
+    const text = String(label || '').trim();
+    return Object.keys(FINANCIAL_SERIES).find(key => FINANCIAL_SERIES[key].pattern.test(text)) || null;
+}
+
+// Numbers or numbers stored as text ("$1,200", "(300)", "72%"); anything else is blank
+function financialValue(cell) {
+    if (typeof cell === 'number') return cell;
+    if (typeof cell === 'string' && cell.trim()) return parseNumberText(cell);
+    return null;
+}
+
+/**
+ * A row (or column) copied from a spreadsheet: values separated by tabs, new
+ * lines or semicolons, or by spaces or commas when nothing else separates them.
+ * Returns one value per month from the first month, null where a cell is blank.
+ */
+function parseFinancialPaste(text) {
+    const s = String(text).trim();
+    if (!s) return [];
+    let parts;
+    if (/[\t\n;]/.test(s)) parts = s.split(/\r?\n|\t|;/);
+    else if (/\s/.test(s)) parts = s.split(/\s+/);
+    else parts = s.split(',');
+    return parts.map(financialValue);
+}
+
+/**
+ * Rows labelled Net Loss, S&M Spend, Gross Margin or Cash under an MRR grid's
+ * header. Returns { rows, financials } where rows is the grid without them,
+ * ready for validateGridRows and parseGridRows, and financials is null when
+ * the grid has none. layout is the manual layout passed to locateGrid.
+ */
+function splitFinancialRows(json, layout) {
+    const grid = locateGrid(json, layout);
+    const { headerRowIdx, dates, dataStartCol } = grid;
+    const rows = [];
+    let financials = null;
+    json.forEach((row, r) => {
+        const key = r > headerRowIdx ? financialSeriesKey(rowName(row, grid)) : null;
+        if (!key) {
+            rows.push(row);
+            return;
+        }
+        financials = financials || {};
+        financials[key] = dates.map((d, i) => financialValue(row[dataStartCol + i]));
+    });
+    return { rows, financials };
+}
+
+/**
+ * Financial rows from splitFinancialRows (aligned to the grid's header dates)
+ * on the timeline the header fixes give the MRR rows. Flows are added up, or
+ * divided across the months of a quarter or year; balances keep the last
+ * value, or are repeated.
+ */
+function timelineFinancials(financials, dates, fixes) {
+    if (!financials) return null;
+    const fix = fixes || {};
+    const plans = {};
+    [false, true].forEach(balance => {
+        plans[balance] = timelinePlan(dates, {
+            headerDuplicates: fix.headerDuplicates && (balance ? 'last' : 'sum'),
+            headerGaps: fix.headerGaps,
+            periodic: fix.periodic && (balance ? 'hold' : 'divide'),
+        });
+    });
+    const aligned = {};
+    Object.keys(financials).forEach(key => {
+        aligned[key] = applyTimeline(plans[!!FINANCIAL_SERIES[key].balance], financials[key], null);
+    });
+    return aligned;
+}
+
+/**
+ * A Month column followed by one column per series, headed with the series
+ * labels. Returns { financials, matched, unknown } where unknown lists the
+ * headers that were not recognised.
+ */
+function financialColumns(rows, dates) {
+    const { columns } = parseMonthColumns(rows, dates);
+    const financials = {};
+    const unknown = [];
+    let matched = 0;
+    Object.keys(columns).forEach(header => {
+        const key = financialSeriesKey(header);
+        if (!key) {
+            unknown.push(header);
+            return;
+        }
+        financials[key] = columns[header];
+        matched += columns[header].filter(v => v !== null).length;
+    });
+    return { financials, matched, unknown };
+}
+
+/**
+ * Financial figures from another sheet of the workbook, laid out either like
+ * the financials CSV or as a grid of months with labelled rows. Returns the
+ * series found, aligned to dates ({} when the sheet has none).
+ */
+function financialSheet(rows, dates) {
+    const byColumn = financialColumns(rows, dates);
+    if (byColumn.matched > 0) return byColumn.financials;
+
+    let split;
+    try {
+        split = splitFinancialRows(rows);
+    } catch (err) {
+        return {};
+    }
+    if (!split.financials) return {};
+    const sheetDates = locateGrid(rows).dates;
+    const financials = {};
+    Object.keys(split.financials).forEach(key => {
+        financials[key] = dates.map(d => {
+            const i = sheetDates.findIndex(sd => sd.year === d.year && sd.month === d.month);
+            return i === -1 ? null : split.financials[key][i];
+        });
+    });
+    return financials;
+}
+
+/**
+ * Gross margin as fractions. A series is all fractions (0.72) or all percents
+ * (72), decided from the whole series: percents when any month is above 1, so
+ * 1 reads as 100% among fractions and as 1% among percents.
+ */
+function marginFractions(series) {
+    const percent = series.some(v => v !== null && v !== undefined && Math.abs(v) > 1);
+    return series.map(v => v === null || v === undefined ? null : percent ? v / 100 : v);
+}
+
+// Combine sources series by series; for each month the first source with a value wins.
+// Each source's gross margin is read as fractions first, so sources in different units mix
+function mergeFinancials(...sources) {
+    const merged = {};
+    sources.filter(Boolean).forEach(source => {
+        Object.keys(source).forEach(key => {
+            const values = key === 'grossMargin' ? marginFractions(source[key]) : source[key];
+            if (!merged[key]) {
+                merged[key] = values.slice();
+                return;
+            }
+            merged[key] = merged[key].map((v, i) => v !== null && v !== undefined ? v : (values[i] ?? null));
+        });
+    });
+    return merged;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FINANCIAL_SERIES, financialSeriesKey, parseFinancialPaste, splitFinancialRows, financialColumns, financialSheet,
+        timelineFinancials, marginFractions, mergeFinancials,
+    };
+}
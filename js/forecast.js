@@ -0,0 +1,94 @@
+/**
+ * MRR Calculator - Forecast
+ *
+ * Projects the MRR bridge forward from its own history: a flat amount of new
+ * MRR each month, and upgrades, downgrades and churn as a share of the
+ * month's begin MRR.
+ *
+ * Input: m - monthly calculateMetrics output
+ *
+ * Output of projectMRR: { dates, beginMRR, newMRR, upgradeMRR, downgradeMRR,
+ *   churnMRR, endMRR, arr } for the months after the last month of m, with the
+ *   same sign conventions as the bridge (downgrade and churn negative)
+ */
+
+const FORECAST_LOOKBACK = 6;
+
+// Multipliers applied to the assumptions; rates that lose MRR move the other way
+const FORECAST_SCENARIOS = {
+    base: { label: 'Base', newMRR: 1, upgradeRate: 1, downgradeRate: 1, churnRate: 1 },
+    upside: { label: 'Upside', newMRR: 1.2, upgradeRate: 1.2, downgradeRate: 0.8, churnRate: 0.8 },
+    downside: { label: 'Downside', newMRR: 0.8, upgradeRate: 0.8, downgradeRate: 1.2, churnRate: 1.2 },
+};
+
+/**
+ * Trailing averages over the last lookbackMonths months:
+ *   newMRR        - new plus reactivation MRR per month
+ *   upgradeRate   - upgrade and cross-sell MRR / begin MRR
+ *   downgradeRate - downgrade MRR / begin MRR (positive)
+ *   churnRate     - churned MRR / begin MRR (positive)
+ * Rates are weighted by begin MRR, so quiet early months count for less.
+ */
+function forecastAssumptions(m, lookbackMonths) {
+    const months = m.dates.length;
+    const from = Math.max(0, months - (lookbackMonths || FORECAST_LOOKBACK));
+    let newTotal = 0, upgrades = 0, downgrades = 0, churn = 0, begin = 0;
+    for (let i = from; i < months; i++) {
+        newTotal += m.newMRR[i] + m.reactivationMRR[i];
+        upgrades += m.crossSellMRR[i] + m.upgradeMRR[i];
+        downgrades += m.downgradeMRR[i];
+        churn += m.churnMRR[i];
+        begin += m.beginMRR[i];
+    }
+    const count = months - from;
+    return {
+        newMRR: count > 0 ? newTotal / count : 0,
+        upgradeRate: begin > 0 ? upgrades / begin : 0,
+        downgradeRate: begin > 0 ? -downgrades / begin : 0,
+        churnRate: begin > 0 ? -churn / begin : 0,
+    };
+}
+
+/**
+ * options:
+ *   months   - how many months to project (default 12)
+ *   scenario - key of FORECAST_SCENARIOS (default 'base')
+ */
+function projectMRR(m, assumptions, options) {
+    const opts = options || {};
+    const months = opts.months || 12;
+    const scenario = FORECAST_SCENARIOS[opts.scenario || 'base'];
+    if (!scenario) throw new Error(`Unknown scenario "${opts.scenario}"`);
+
+    const newMRR = assumptions.newMRR * scenario.newMRR;
+    const upgradeRate = assumptions.upgradeRate * scenario.upgradeRate;
+    const downgradeRate = assumptions.downgradeRate * scenario.downgradeRate;
+    const churnRate = assumptions.churnRate * scenario.churnRate;
+
+    const f = { dates: [], beginMRR: [], newMRR: [], upgradeMRR: [], downgradeMRR: [], churnMRR: [], endMRR: [], arr: [] };
+    let { year, month } = m.dates[m.dates.length - 1];
+    let end = m.endMRR[m.endMRR.length - 1];
+    for (let i = 0; i < months; i++) {
+        month++;
+        if (month > 12) { month = 1; year++; }
+        const begin = end;
+        // Losses cannot take MRR below zero (0 - x keeps a zero loss from printing as -0)
+        const churn = 0 - Math.min(begin, begin * churnRate);
+        const downgrade = 0 - Math.min(begin + churn, begin * downgradeRate);
+        end = begin + newMRR + begin * upgradeRate + downgrade + churn;
+
+        f.dates.push({ year, month });
+        f.beginMRR.push(begin);
+        f.newMRR.push(newMRR);
+        f.upgradeMRR.push(begin * upgradeRate);
+        f.downgradeMRR.push(downgrade);
+        f.churnMRR.push(churn);
+        f.endMRR.push(end);
+        f.arr.push(end * 12);
+    }
+    return f;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FORECAST_LOOKBACK, FORECAST_SCENARIOS, forecastAssumptions, projectMRR };
+}
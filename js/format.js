@@ -0,0 +1,56 @@
+/**
+ * MRR Calculator - Formatting Helpers
+ *
+ * Display formatting shared by the page, the Excel export and the CLI.
+ * Dates are the { year, month } objects produced by parseDate.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { currencySymbol } = require('./currency.js');
+}
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatDate(d) {
+    if (!d) return '';
+    return `${MONTH_NAMES[d.month - 1]}-${String(d.year).slice(-2)}`;
+}
+
+// ISO-style month key, e.g. 2024-01
+function formatMonth(d) {
+    return `${d.year}-${String(d.month).padStart(2, '0')}`;
+}
+
+function formatCurrency(val, currency) {
+    if (val === null || val === undefined) return '---';
+    return currencySymbol(currency) + val.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+}
+
+function formatValue(val, fmt, currency) {
+    if (val === null || val === undefined) return '---';
+    switch (fmt) {
+        case 'currency':
+            return formatCurrency(val, currency);
+        case 'percent':
+            return (val * 100).toFixed(1) + '%';
+        case 'number':
+            return val.toLocaleString('en-US', { maximumFractionDigits: 0 });
+        case 'ratio':
+            return val.toFixed(2) + 'x';
+        case 'months':
+            return val.toFixed(1) + ' mo';
+        default:
+            return String(val);
+    }
+}
+
+function abbreviateNumber(val) {
+    if (Math.abs(val) >= 1e6) return (val / 1e6).toFixed(1) + 'M';
+    if (Math.abs(val) >= 1e3) return (val / 1e3).toFixed(0) + 'K';
+    return val.toFixed(0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { formatDate, formatMonth, formatCurrency, formatValue, abbreviateNumber };
+}
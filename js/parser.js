@@ -0,0 +1,391 @@
+/**
+ * MRR Calculator - Grid Parsing
+ *
+ * Turns spreadsheet rows into the customerData/dates structure calculateMetrics
+ * expects. Used by the page and by the CLI, so nothing here touches the DOM
+ * or SheetJS.
+ *
+ * Input: rows - array of arrays (sheet_to_json with header: 1, defval: 0)
+ *
+ * Input: layout - optional manual choices that replace auto-detection:
+ *   { headerRow, nameCol } - zero-based indices into rows and into each row
+ *
+ * Output: { customers, dates, dimensions }
+ *   customers  - array of { name, revenue, attributes, currency, products? }
+ *   dates      - array of { year, month }, on the timeline the header fixes
+ *                give (see timeline.js)
+ *   dimensions - labels of the attribute (segment) columns
+ *
+ * A Product column makes each row one product line: rows with the same
+ * customer name (and currency) become one customer whose revenue is the sum
+ * of its lines, with products[product] holding each line's monthly MRR.
+ *
+ * Throws an Error with a user-facing message when the layout is not recognised.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { timelinePlan, applyTimeline } = require('./timeline.js');
+}
+
+const UNSPECIFIED_SEGMENT = '(Unspecified)';
+
+// Years (annual headers), read as December like a year-end date
+const YEAR_MIN = 1950;
+const YEAR_MAX = 2100;
+
+// Quarter labels such as "Q1 2024", "Q1-24" or "2024 Q1"
+const QUARTER_LABEL = /^(?:q([1-4])[\s\-']*(\d{2}|\d{4})|(\d{4})[\s\-]*q([1-4]))$/i;
+
+// Excel stores dates as days since 1899-12-30 (which absorbs the 1900 leap-year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+function parseDate(val) {
+    // Return plain {year, month} objects to avoid timezone issues.
+    // SheetJS cellDates creates UTC dates; using getMonth() in a non-UTC
+    // timezone could shift the date to the wrong day/month.
+    if (val instanceof Date && !isNaN(val.getTime())) {
+        const y = val.getUTCFullYear();
+        if (y > 1900) return { year: y, month: val.getUTCMonth() + 1 };
+    }
+    if (Number.isInteger(val) && val >= YEAR_MIN && val <= YEAR_MAX) {
+        // A bare year; as an Excel serial it would be a day in 1905
+        return { year: val, month: 12 };
+    }
+    if (typeof val === 'number' && val > 365) {
+        // Excel serial date number (365 = ~Jan 1901, reject small values like 0)
+        const d = new Date(EXCEL_EPOCH + Math.floor(val) * 86400000);
+        if (!isNaN(d.getTime()) && d.getUTCFullYear() > 1900) {
+            return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+        }
+    }
+    if (typeof val === 'string') {
+        // Years and quarters are read as their last month, like month-end dates
+        if (/^\d{4}$/.test(val.trim()) && +val >= YEAR_MIN && +val <= YEAR_MAX) return { year: +val, month: 12 };
+        const q = QUARTER_LABEL.exec(val.trim());
+        if (q) {
+            const year = parseInt(q[2] || q[3], 10);
+            return { year: year < 100 ? 2000 + year : year, month: parseInt(q[1] || q[4], 10) * 3 };
+        }
+        // Date-only ISO strings and times with an offset are parsed as UTC,
+        // anything else ("2/1/2024", "Feb 1, 2024") as local time, which in
+        // UTC can fall on the last day of the previous month
+        const d = new Date(val);
+        const utc = /^\d{4}-\d{2}(-\d{2})?$|(z|[+-]\d{2}:?\d{2})$/i.test(val.trim());
+        const year = utc ? d.getUTCFullYear() : d.getFullYear();
+        if (!isNaN(d.getTime()) && year > 1900) {
+            return { year, month: (utc ? d.getUTCMonth() : d.getMonth()) + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Locate the grid: the header row of dates, where the monthly values start,
+ * and which labelled columns hold the name, segments, currency and product.
+ */
+function locateGrid(json, layout) {
+    const manual = layout || {};
+    if (json.length < 2) {
+        throw new Error('File must have at least a header row and one data row.');
+    }
+
+    // Find the header row containing dates (may not be row 0 if sheet has leading
+    // empty rows or a summary block), unless one was chosen
+    let headerRowIdx = -1;
+    const dates = [];
+    let dataStartCol = -1;
+
+    const rowDates = r => {
+        const found = { dates: [], startCol: -1, typed: 0 };
+        json[r].forEach((cell, i) => {
+            const parsed = parseDate(cell);
+            if (!parsed) return;
+            if (found.startCol === -1) found.startCol = i;
+            found.dates.push(parsed);
+            if (typeof cell !== 'number') found.typed++;
+        });
+        return found;
+    };
+
+    // A valid header row should have at least 2 dates. Summary figures above the
+    // grid ("Total ARR 123,456") also read as Excel serial dates, so the first
+    // row of date cells or date text wins over an earlier row of plain numbers
+    const hasHeaderRow = manual.headerRow !== undefined && manual.headerRow !== null;
+    const candidates = hasHeaderRow ? [manual.headerRow].filter(r => r < json.length) : json.map((row, r) => r);
+    let header = null;
+    for (const r of candidates) {
+        const found = rowDates(r);
+        if (found.dates.length < 2) continue;
+        if (!header) header = { r, found };
+        if (found.typed >= 2) {
+            header = { r, found };
+            break;
+        }
+    }
+    if (header) {
+        headerRowIdx = header.r;
+        dates.push(...header.found.dates);
+        dataStartCol = header.found.startCol;
+    }
+
+    if (hasHeaderRow && headerRowIdx === -1) {
+        throw new Error(`Row ${manual.headerRow + 1} does not have at least two dates. Choose the row with the month headers.`);
+    }
+    if (headerRowIdx === -1 || dates.length === 0) {
+        throw new Error('Could not find date headers. Ensure the spreadsheet has a row with dates (e.g., 1/31/2024).');
+    }
+
+    // Labelled columns before the dates: the customer name column plus any
+    // attribute columns (Plan, Region, Sales Rep...) named in the header row
+    const headerRow = json[headerRowIdx];
+    const labelCols = [];
+    for (let c = 0; c < dataStartCol; c++) {
+        const h = headerRow[c];
+        if (typeof h === 'string' && h.trim()) labelCols.push({ col: c, label: h.trim() });
+    }
+    let nameCol = -1;
+    let attributeCols = [];
+    const hasNameCol = manual.nameCol !== undefined && manual.nameCol !== null;
+    if (hasNameCol) {
+        if (manual.nameCol >= dataStartCol) {
+            throw new Error('The customer name column must come before the first month column.');
+        }
+        nameCol = manual.nameCol;
+        attributeCols = labelCols.filter(l => l.col !== nameCol);
+    } else if (labelCols.length > 0) {
+        const nameLabel = labelCols.find(l => /customer|name|account|client|company/i.test(l.label)) || labelCols[0];
+        nameCol = nameLabel.col;
+        attributeCols = labelCols.filter(l => l !== nameLabel);
+    }
+    // A Currency column holds each customer's billing currency, and a Product
+    // column the product line, rather than a segment
+    const currencyLabel = attributeCols.find(a => /^(currency|ccy)$/i.test(a.label));
+    const productLabel = attributeCols.find(a => /^(product|product line|line item|sku)$/i.test(a.label));
+    attributeCols = attributeCols.filter(a => a !== currencyLabel && a !== productLabel);
+
+    return {
+        headerRowIdx, dates, dataStartCol, nameCol, attributeCols,
+        currencyCol: currencyLabel ? currencyLabel.col : -1,
+        productCol: productLabel ? productLabel.col : -1,
+    };
+}
+
+// Customer name: the labelled name column, or failing that the last text
+// value in the columns before the dates
+function rowName(row, grid) {
+    if (grid.nameCol !== -1) {
+        const v = row[grid.nameCol];
+        return v !== undefined && v !== 0 ? String(v).trim() : '';
+    }
+    let name = '';
+    for (let c = 0; c < grid.dataStartCol; c++) {
+        if (row[c] && typeof row[c] === 'string' && row[c].trim()) name = row[c].trim();
+    }
+    return name;
+}
+
+// Numbers stored as text: "$1,200", "1 200.50", "(300)", "-€45"
+function parseNumberText(str) {
+    let s = String(str).trim().replace(/[\s,]/g, '');
+    const negative = /^\(.*\)$/.test(s) || /^-/.test(s);
+    s = s.replace(/^[-(]+|\)$/g, '').replace(/^[^\d.]+/, '').replace(/[^\d.]+$/, '');
+    if (!/^\d*\.?\d+$/.test(s)) return null;
+    const n = parseFloat(s);
+    return negative ? -n : n;
+}
+
+/**
+ * fixes - optional corrections chosen on the validation report card:
+ *   headerDuplicates, headerGaps, periodic - reshape the header into one
+ *                column per calendar month (see timelinePlan)
+ *   formatted  - read numbers stored as text ("$1,200") instead of parseFloat
+ *   negatives  - net credits against the customer's earlier months instead of clamping to 0
+ *   spikes     - a ratio; a month more than this many times the previous one takes the previous value
+ *   duplicates - merge rows with the same customer name (and currency)
+ */
+function parseGridRows(json, fixes, layout) {
+    const fix = fixes || {};
+    const grid = locateGrid(json, layout);
+    const { headerRowIdx, dataStartCol, attributeCols, currencyCol, productCol } = grid;
+    const plan = timelinePlan(grid.dates, fix);
+
+    // Parse customer data (rows after the header row)
+    const customers = [];
+    let autoIndex = 0;
+    for (let r = headerRowIdx + 1; r < json.length; r++) {
+        const row = json[r];
+        let name = rowName(row, grid);
+
+        const attributes = {};
+        attributeCols.forEach(a => {
+            const v = row[a.col];
+            attributes[a.label] = v !== undefined && v !== 0 && String(v).trim() ? String(v).trim() : UNSPECIFIED_SEGMENT;
+        });
+
+        let currency = null;
+        if (currencyCol !== -1 && typeof row[currencyCol] === 'string' && row[currencyCol].trim()) {
+            currency = row[currencyCol].trim().toUpperCase();
+        }
+
+        let product = null;
+        if (productCol !== -1) {
+            const v = row[productCol];
+            product = v !== undefined && v !== 0 && String(v).trim() ? String(v).trim() : UNSPECIFIED_SEGMENT;
+        }
+
+        const cells = [];
+        for (let c = dataStartCol; c < dataStartCol + grid.dates.length; c++) {
+            const cell = row[c];
+            const text = fix.formatted && typeof cell === 'string' ? parseNumberText(cell) : null;
+            cells.push(text !== null ? text : parseFloat(cell) || 0);
+        }
+        const values = applyTimeline(plan, cells, 0);
+
+        let revenue;
+        if (fix.negatives) {
+            // A credit or refund reverses revenue already booked in earlier months
+            revenue = values.slice();
+            for (let m = 0; m < revenue.length; m++) {
+                if (revenue[m] >= 0) continue;
+                let credit = -revenue[m];
+                revenue[m] = 0;
+                for (let k = m - 1; k >= 0 && credit > 0; k--) {
+                    const used = Math.min(credit, revenue[k]);
+                    revenue[k] -= used;
+                    credit -= used;
+                }
+            }
+        } else {
+            revenue = values.map(v => Math.max(0, v)); // Ensure non-negative
+        }
+
+        if (fix.spikes) {
+            for (let m = 1; m < revenue.length; m++) {
+                if (revenue[m - 1] > 0 && revenue[m] > revenue[m - 1] * fix.spikes) revenue[m] = revenue[m - 1];
+            }
+        }
+
+        // Only include rows that have at least some revenue
+        if (revenue.some(v => v > 0)) {
+            // Auto-generate name if no name column or name is empty
+            if (!name) {
+                autoIndex++;
+                name = 'Customer ' + autoIndex;
+            }
+            const customer = { name, revenue, attributes, currency };
+            if (product) customer.products = { [product]: revenue.slice() };
+            customers.push(customer);
+        }
+    }
+
+    if (customers.length === 0) {
+        throw new Error('No customer data with revenue found in the file.');
+    }
+
+    // Product lines always merge into their customer; plain duplicate rows only when asked
+    return {
+        customers: fix.duplicates || productCol !== -1 ? mergeDuplicateCustomers(customers) : customers,
+        dates: plan.dates,
+        dimensions: attributeCols.map(a => a.label),
+    };
+}
+
+// Sum rows that share a name and billing currency, and their product lines;
+// segments come from the first row
+function mergeDuplicateCustomers(customers) {
+    const byKey = new Map();
+    const merged = [];
+    customers.forEach(c => {
+        const key = c.name.toLowerCase() + '|' + (c.currency || '');
+        const existing = byKey.get(key);
+        if (existing) {
+            existing.revenue = existing.revenue.map((v, i) => v + c.revenue[i]);
+            Object.keys(c.products || {}).forEach(p => {
+                const line = existing.products[p];
+                existing.products[p] = line ? line.map((v, i) => v + c.products[p][i]) : c.products[p].slice();
+            });
+        } else {
+            const copy = Object.assign({}, c, { revenue: c.revenue.slice() });
+            if (c.products) copy.products = Object.assign({}, c.products);
+            byKey.set(key, copy);
+            merged.push(copy);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Month-keyed side tables (FX rates, net loss): a Month column followed by
+ * one value column per series. Returns { columns, matched } where
+ * columns[header] is aligned to dates (null for months not in the file).
+ */
+function parseMonthColumns(rows, dates) {
+    const header = (rows[0] || []).map(h => String(h).trim());
+    const columns = {};
+    for (let c = 1; c < header.length; c++) {
+        if (header[c]) columns[header[c]] = dates.map(() => null);
+    }
+
+    let matched = 0;
+    for (let r = 1; r < rows.length; r++) {
+        const d = parseDate(rows[r][0]);
+        if (!d) continue;
+        const idx = dates.findIndex(pd => pd.year === d.year && pd.month === d.month);
+        if (idx === -1) continue;
+        for (let c = 1; c < header.length; c++) {
+            const val = parseFloat(rows[r][c]);
+            if (header[c] && !isNaN(val)) {
+                columns[header[c]][idx] = val;
+                matched++;
+            }
+        }
+    }
+    return { columns, matched };
+}
+
+// ===== WORKBOOKS =====
+
+// Defined names that mark the MRR grid, e.g. MRR_Data or Revenue
+const GRID_RANGE_NAME = /mrr|revenue/i;
+
+/**
+ * Choose the sheet holding the MRR grid in a workbook. A defined name matching
+ * GRID_RANGE_NAME wins, and its first row is taken as the header row;
+ * otherwise the first sheet with a date header row, else the first sheet.
+ *
+ * Input: sheets - [{ name, rows, firstRow }] where firstRow is the sheet row
+ *   (zero-based) that rows[0] was read from
+ * Input: definedNames - the workbook's defined names as [{ Name, Ref }]
+ *   (SheetJS workbook.Workbook.Names)
+ *
+ * Output: { index, layout, rangeName } - layout is { headerRow } for a named
+ *   range and {} otherwise; rangeName the defined name used, or null
+ */
+function pickGridSheet(sheets, definedNames) {
+    const named = (definedNames || []).find(n => GRID_RANGE_NAME.test(n.Name) && n.Ref);
+    const ref = named ? /^'?(.+?)'?!\$?[A-Z]+\$?(\d+)/.exec(named.Ref) : null;
+    if (ref) {
+        const index = sheets.findIndex(s => s.name === ref[1].replace(/''/g, "'"));
+        if (index !== -1) {
+            const headerRow = parseInt(ref[2], 10) - 1 - (sheets[index].firstRow || 0);
+            if (headerRow >= 0) return { index, layout: { headerRow }, rangeName: named.Name };
+        }
+    }
+    const index = sheets.findIndex(s => {
+        try {
+            locateGrid(s.rows);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    });
+    return { index: Math.max(0, index), layout: {}, rangeName: null };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNSPECIFIED_SEGMENT, parseDate, locateGrid, rowName, parseNumberText, parseGridRows, parseMonthColumns,
+        pickGridSheet,
+    };
+}
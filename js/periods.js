@@ -0,0 +1,224 @@
+/**
+ * MRR Calculator - Period Rollups
+ *
+ * Re-buckets monthly calculateMetrics output into quarters or fiscal years
+ * for the results page, the Excel export and the CLI.
+ *
+ * Input: m - calculateMetrics output
+ * Input: options - { period: 'month' | 'quarter' | 'year', fyStartMonth: 1-12 }
+ *   Quarters follow the fiscal year, and a fiscal year is named after the
+ *   calendar year it ends in (FY25 starting Feb-24 runs to Jan-25).
+ *
+ * Output: an object with the same keys as m, one entry per period, plus
+ *   period  - { type, fyStartMonth }
+ *   periods - array of { start, end, label, partial } month indices into m.dates
+ * m itself is returned for the monthly view.
+ *
+ * Flows (new, upgrade, downgrade, churn, counts, net loss, S&M spend) are
+ * summed; stocks come from the period boundaries (begin from the first month,
+ * end, ARR, customers and cash from the last); trailing-twelve-month and YOY ratios are read at
+ * the period end; max/avg rows are recomputed from every movement in the
+ * period; and Period NDR/GDR measure retention across the period itself.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { formatDate } = require('./format.js');
+}
+
+const PERIOD_TYPES = {
+    month: { label: 'Monthly', months: 1, age: 'M' },
+    quarter: { label: 'Quarterly', months: 3, age: 'Q' },
+    year: { label: 'Fiscal Year', months: 12, age: 'Y' },
+};
+
+// Summed across the months of a period
+const FLOW_SERIES = [
+    'newMRR', 'reactivationMRR', 'crossSellMRR', 'upgradeMRR', 'downgradeMRR', 'churnMRR', 'netNewMRR',
+    'upgradeCount', 'downgradeCount', 'newCustomers', 'reactivatedCustomers', 'churnedCustomers',
+];
+
+// Product bridge flows, summed like FLOW_SERIES
+const PRODUCT_FLOW_SERIES = ['newMRR', 'reactivationMRR', 'crossSellMRR', 'upgradeMRR', 'downgradeMRR', 'churnMRR'];
+
+// Balances and trailing ratios, read at the last month of a period
+const END_SERIES = [
+    'endMRR', 'arr', 'mrr', 'newARR', 'yoyGrowth', 'ttmNDR', 'ttmGDR', 'cohortNDR', 'cohortGDR',
+    'endCustomers', 'acv', 'largestCustomer', 'maxConcentration', 'grossCustomerRetention', 'customerGrowth',
+    'top5Share', 'top10Share', 'top20Share', 'hhi',
+];
+
+const EFFICIENCY_SERIES = [
+    'ttmNewARRoverLoss', 'ttmPayback', 'sixMoNewARRoverLoss', 'sixMoPayback',
+    'cacPayback', 'magicNumber', 'burnMultiple', 'runway',
+    'logoChurnRate', 'customerLifetime', 'arpa', 'ltv', 'newLogoCAC', 'blendedCAC', 'ltvToCAC', 'gmCACPayback',
+];
+
+// Consecutive months grouped into quarters or fiscal years
+function buildPeriods(dates, type, fyStartMonth) {
+    const fyStart = fyStartMonth || 1;
+    const length = PERIOD_TYPES[type].months;
+    const periods = [];
+    let key = null;
+    dates.forEach((d, i) => {
+        const offset = (d.month - fyStart + 12) % 12;
+        const fiscalYear = fyStart === 1 || d.month < fyStart ? d.year : d.year + 1;
+        const quarter = Math.floor(offset / 3) + 1;
+        const yy = String(fiscalYear).slice(-2);
+        let label;
+        if (type === 'year') label = `FY${yy}`;
+        else if (fyStart === 1) label = `Q${quarter}-${yy}`;
+        else label = `Q${quarter} FY${yy}`;
+
+        const next = type === 'year' ? String(fiscalYear) : `${fiscalYear}-${quarter}`;
+        if (next !== key) {
+            periods.push({ start: i, end: i, label });
+            key = next;
+        } else {
+            periods[periods.length - 1].end = i;
+        }
+    });
+    periods.forEach(p => {
+        p.partial = p.end - p.start + 1 < length;
+        if (p.partial) p.label += '*';
+    });
+    return periods;
+}
+
+function rollupMetrics(m, options) {
+    const opts = options || {};
+    const type = opts.period || 'month';
+    if (type === 'month') return m;
+    if (!PERIOD_TYPES[type]) throw new Error(`Unknown period "${type}"`);
+
+    const fyStartMonth = opts.fyStartMonth || 1;
+    const periods = buildPeriods(m.dates, type, fyStartMonth);
+    const sum = (series, p) => series.slice(p.start, p.end + 1).reduce((t, v) => t + v, 0);
+
+    const r = {
+        period: { type, fyStartMonth },
+        periods,
+        definitions: m.definitions,
+        graceMonths: m.graceMonths,
+        dates: periods.map(p => m.dates[p.end]),
+        beginMRR: periods.map(p => m.beginMRR[p.start]),
+        beginCustomers: periods.map(p => m.beginCustomers[p.start]),
+    };
+    FLOW_SERIES.forEach(key => {
+        r[key] = periods.map(p => sum(m[key], p));
+    });
+    END_SERIES.forEach(key => {
+        r[key] = periods.map(p => m[key][p.end]);
+    });
+
+    // Every customer movement in the period, tagged with its month so the
+    // drill-down can still pick out the opening and closing balances
+    r.movements = periods.map(p => [].concat(...m.movements.slice(p.start, p.end + 1).map((records, k) =>
+        records.map(rec => Object.assign({ month: p.start + k, date: m.dates[p.start + k] }, rec))
+    )));
+
+    // Largest and average single movements across the period
+    const sizes = (kind, pick) => r.movements.map(records => records.filter(rec => rec.type === kind).map(pick));
+    const max = values => values.length > 0 ? Math.max(...values) || null : null;
+    const min = values => values.length > 0 ? Math.min(...values) || null : null;
+    const avg = values => values.length > 0 ? values.reduce((t, v) => t + v, 0) / values.length : null;
+    const wins = sizes('new', rec => rec.curr);
+    const upgrades = sizes('upgrade', rec => rec.delta);
+    const downgrades = sizes('downgrade', rec => rec.delta);
+    const churns = sizes('churn', rec => rec.delta);
+    r.maxCustomerWin = wins.map(max);
+    r.avgCustomerWin = wins.map(avg);
+    r.maxUpgrade = upgrades.map(max);
+    r.avgUpgrade = upgrades.map(avg);
+    r.maxDowngrade = downgrades.map(min);
+    r.avgDowngrade = downgrades.map(avg);
+    r.maxChurn = churns.map(min);
+    r.avgChurn = churns.map(avg);
+
+    // Retention across the period: (begin + cross-sell + upgrades + downgrades + churn) / begin
+    r.periodNDR = periods.map((p, i) => r.beginMRR[i] !== 0
+        ? (r.beginMRR[i] + r.crossSellMRR[i] + r.upgradeMRR[i] + r.downgradeMRR[i] + r.churnMRR[i]) / r.beginMRR[i]
+        : null);
+    r.periodGDR = periods.map((p, i) => r.beginMRR[i] !== 0
+        ? (r.beginMRR[i] + r.downgradeMRR[i] + r.churnMRR[i]) / r.beginMRR[i]
+        : null);
+
+    // Financial inputs: spend and net loss are summed, gross margin averaged and
+    // cash read at the period end; efficiency ratios are trailing, so read at the end
+    const supplied = (series, p) => series.slice(p.start, p.end + 1).filter(v => v !== null && v !== undefined);
+    const total = values => values.length > 0 ? values.reduce((t, v) => t + v, 0) : null;
+    r.netLoss = m.netLoss ? periods.map(p => total(supplied(m.netLoss, p))) : null;
+    r.salesMarketing = m.salesMarketing ? periods.map(p => total(supplied(m.salesMarketing, p))) : null;
+    r.grossMargin = m.grossMargin ? periods.map(p => avg(supplied(m.grossMargin, p))) : null;
+    r.cashBalance = m.cashBalance ? periods.map(p => m.cashBalance[p.end]) : null;
+    EFFICIENCY_SERIES.forEach(key => {
+        r[key] = m[key] ? periods.map(p => m[key][p.end]) : null;
+    });
+
+    r.products = m.products;
+    r.productBridges = m.productBridges.map(bridge => {
+        const rolled = { product: bridge.product };
+        PRODUCT_FLOW_SERIES.forEach(key => { rolled[key] = periods.map(p => sum(bridge[key], p)); });
+        rolled.beginMRR = periods.map(p => bridge.beginMRR[p.start]);
+        rolled.endMRR = periods.map(p => bridge.endMRR[p.end]);
+        rolled.customers = periods.map(p => bridge.customers[p.end]);
+        return rolled;
+    });
+
+    r.sizeBands = m.sizeBands.map(band => Object.assign({}, band, {
+        customers: periods.map(p => band.customers[p.end]),
+        arr: periods.map(p => band.arr[p.end]),
+    }));
+
+    r.cohorts = rollupCohorts(m.cohorts, periods);
+    return r;
+}
+
+// Acquisition cohorts by period; age k is the balance at the end of the k-th
+// period after acquisition, and age 0 (the starting value) the end of the
+// acquisition period itself
+function rollupCohorts(cohorts, periods) {
+    const rolled = [];
+    periods.forEach((p, i) => {
+        const members = cohorts.filter(c => c.start >= p.start && c.start <= p.end);
+        if (members.length === 0) return;
+        const mrr = [];
+        const customers = [];
+        for (let k = i; k < periods.length; k++) {
+            const end = periods[k].end;
+            mrr.push(members.reduce((t, c) => t + c.mrr[end - c.start], 0));
+            customers.push(members.reduce((t, c) => t + c.customers[end - c.start], 0));
+        }
+        const startMRR = mrr[0];
+        const startCustomers = customers[0];
+        rolled.push({
+            start: i,
+            date: members[0].date,
+            startMRR,
+            startCustomers,
+            mrr,
+            customers,
+            mrrPct: mrr.map(v => startMRR > 0 ? v / startMRR : null),
+            customersPct: customers.map(v => startCustomers > 0 ? v / startCustomers : null),
+        });
+    });
+    return rolled;
+}
+
+// Column headings for a metrics object: months, or the labels of its periods
+function periodLabels(m) {
+    return m.periods ? m.periods.map(p => p.label) : m.dates.map(d => formatDate(d));
+}
+
+function cohortLabel(m, cohort) {
+    return m.periods ? m.periods[cohort.start].label : formatDate(cohort.date);
+}
+
+// Cohort age heading: M0, M1... or Q0, Q1... / Y0, Y1...
+function cohortAgeLabel(m, k) {
+    return PERIOD_TYPES[m.period ? m.period.type : 'month'].age + k;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PERIOD_TYPES, rollupMetrics, periodLabels, cohortLabel, cohortAgeLabel };
+}
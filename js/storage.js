@@ -0,0 +1,133 @@
+/**
+ * MRR Calculator - Saved Analyses
+ *
+ * Keeps analyses in the browser's IndexedDB so they survive a reload, and
+ * reads and writes the single-session JSON file used to hand one to a
+ * colleague. The database calls need a browser; the session file helpers
+ * are plain functions.
+ *
+ * A saved analysis is { id, name, company, savedAt, session } where session
+ * is whatever the page needs to rebuild the results: the parsed customers and
+ * dates, typed-in financial inputs and FX rates, and the view settings.
+ *
+ * Every database call returns a Promise.
+ */
+
+const SESSION_DB = 'mrr-calculator';
+const SESSION_STORE = 'analyses';
+const SESSION_FORMAT = 'mrr-calculator-session';
+const SESSION_VERSION = 1;
+
+function openSessionDB() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('This browser does not support saving analyses (IndexedDB is unavailable).'));
+            return;
+        }
+        const request = indexedDB.open(SESSION_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the store and resolve with its result
+function sessionRequest(mode, makeRequest) {
+    return openSessionDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(SESSION_STORE, mode);
+        const request = makeRequest(tx.objectStore(SESSION_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    }));
+}
+
+function newSessionId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Newest first; sessions themselves are left out until an analysis is opened
+function listAnalyses() {
+    return sessionRequest('readonly', store => store.getAll()).then(records => records
+        .map(r => ({ id: r.id, name: r.name, company: r.company, savedAt: r.savedAt }))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+}
+
+function getAnalysis(id) {
+    return sessionRequest('readonly', store => store.get(id)).then(record => {
+        if (!record) throw new Error('That analysis no longer exists.');
+        return record;
+    });
+}
+
+// Saves a new analysis, or overwrites the one with the same id
+function saveAnalysis(analysis) {
+    const record = Object.assign({}, analysis, {
+        id: analysis.id || newSessionId(),
+        savedAt: new Date().toISOString(),
+    });
+    return sessionRequest('readwrite', store => store.put(record)).then(() => record);
+}
+
+function duplicateAnalysis(id) {
+    return getAnalysis(id).then(record => saveAnalysis(Object.assign({}, record, {
+        id: null,
+        name: `${record.name} (copy)`,
+    })));
+}
+
+function deleteAnalysis(id) {
+    return sessionRequest('readwrite', store => store.delete(id));
+}
+
+// ===== SESSION FILES =====
+
+function sessionToJSON(analysis) {
+    return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        name: analysis.name,
+        company: analysis.company,
+        savedAt: analysis.savedAt,
+        session: analysis.session,
+    }, null, 2);
+}
+
+// Returns { name, company, savedAt, session } without an id, ready to save
+function sessionFromJSON(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!file || file.format !== SESSION_FORMAT) {
+        throw new Error('This is not an MRR Calculator session file.');
+    }
+    if (file.version > SESSION_VERSION) {
+        throw new Error('This session was saved by a newer version of the calculator.');
+    }
+    const s = file.session;
+    if (!s || !Array.isArray(s.customers) || !Array.isArray(s.dates) || s.dates.length === 0) {
+        throw new Error('The session file has no customer data.');
+    }
+    return {
+        name: file.name || 'Imported analysis',
+        company: file.company || '',
+        savedAt: file.savedAt || new Date().toISOString(),
+        session: s,
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        listAnalyses, getAnalysis, saveAnalysis, duplicateAnalysis, deleteAnalysis, sessionToJSON, sessionFromJSON,
+    };
+}
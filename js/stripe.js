@@ -0,0 +1,348 @@
+/**
+ * MRR Calculator - Stripe Import
+ *
+ * Normalises Stripe subscription and invoice exports into monthly MRR per
+ * customer. Works entirely from local files; nothing is fetched from Stripe.
+ *
+ * Input: JSON - an array of subscription or invoice objects, or a Stripe list
+ *   ({ object: 'list', data: [...] }) as returned by the API
+ *
+ * Input: CSV rows - array of arrays from a Stripe Dashboard export (first row
+ *   holds the headers, e.g. "Customer Name", "Interval", "Current Period Start (UTC)")
+ *
+ * Output: { customers, dates, kind, count, skipped } where customers/dates have
+ *   the same shape parseFileData produces
+ *
+ * Subscriptions: each month's MRR is the month-end run rate of every item
+ *   (unit amount x quantity, normalised from its billing interval), less any
+ *   percent or amount discount active at month end. Trialing, incomplete and
+ *   ended subscriptions contribute nothing.
+ *
+ * Invoices: recurring lines (including prorations) are spread across the
+ *   service period they cover, net of line discounts, via pivotTransactions
+ *   (js/transactions.js). One-off invoice items are excluded.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { pivotTransactions, monthKey } = require('./transactions.js');
+}
+
+// Currencies Stripe bills in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const SKIPPED_SUBSCRIPTION_STATUSES = ['incomplete', 'incomplete_expired'];
+const SKIPPED_INVOICE_STATUSES = ['draft', 'void', 'deleted'];
+
+// Months of MRR per billing interval unit
+const INTERVAL_MONTHS = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 };
+
+function stripeAmount(minorUnits, currency) {
+    const n = typeof minorUnits === 'string' ? parseFloat(minorUnits) : minorUnits;
+    if (typeof n !== 'number' || isNaN(n)) return null;
+    return ZERO_DECIMAL_CURRENCIES.includes((currency || '').toUpperCase()) ? n : n / 100;
+}
+
+// Unix seconds (API) or a date string (Dashboard CSV, in UTC) to a Date
+function stripeTime(val) {
+    if (val === null || val === undefined || val === '') return null;
+    if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+    if (typeof val === 'number') return new Date(val * 1000);
+    let str = String(val).trim();
+    if (/^\d{4}-\d{2}-\d{2} \d/.test(str)) str = str.replace(' ', 'T');
+    if (/T\d{2}:\d{2}(:\d{2})?$/.test(str)) str += 'Z';
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function customerLabel(customer, fallback) {
+    if (customer && typeof customer === 'object') {
+        return customer.name || customer.email || customer.id || fallback;
+    }
+    return customer || fallback;
+}
+
+function monthlyFactor(interval, intervalCount) {
+    const months = (INTERVAL_MONTHS[interval] || 1) * (intervalCount || 1);
+    return 1 / months;
+}
+
+// ===== JSON =====
+
+function stripeRecords(json) {
+    if (Array.isArray(json)) return json;
+    if (json && Array.isArray(json.data)) return json.data;
+    if (json && json.object) return [json];
+    throw new Error('Unrecognised Stripe JSON. Expected a list of subscriptions or invoices.');
+}
+
+function normaliseDiscount(discount, currency) {
+    const coupon = discount && (discount.coupon || (discount.source && discount.source.coupon));
+    if (!coupon || typeof coupon !== 'object' || coupon.duration === 'once') return null;
+    return {
+        percentOff: coupon.percent_off || 0,
+        amountOff: coupon.amount_off ? stripeAmount(coupon.amount_off, coupon.currency || currency) : 0,
+        start: stripeTime(discount.start),
+        end: stripeTime(discount.end),
+    };
+}
+
+function normaliseSubscription(sub) {
+    const currency = (sub.currency || '').toUpperCase() || null;
+    const items = ((sub.items && sub.items.data) || []).map(item => {
+        const price = item.price || item.plan || {};
+        const recurring = price.recurring || { interval: price.interval, interval_count: price.interval_count };
+        let unit = stripeAmount(price.unit_amount !== undefined && price.unit_amount !== null ? price.unit_amount : price.unit_amount_decimal, currency);
+        if (unit === null) unit = stripeAmount(price.amount, currency) || 0;
+        const product = price.product && typeof price.product === 'object' ? price.product.name : (price.nickname || price.product || null);
+        return {
+            product,
+            amount: unit,
+            quantity: item.quantity !== undefined && item.quantity !== null ? item.quantity : 1,
+            interval: recurring.interval,
+            intervalCount: recurring.interval_count,
+        };
+    });
+    const discounts = [sub.discount].concat(sub.discounts || [])
+        .filter(d => d && typeof d === 'object')
+        .map(d => normaliseDiscount(d, currency))
+        .filter(Boolean);
+
+    return {
+        customer: customerLabel(sub.customer, sub.id),
+        currency,
+        status: sub.status,
+        start: stripeTime(sub.start_date || sub.created),
+        end: stripeTime(sub.ended_at || sub.cancel_at || (sub.status === 'canceled' ? sub.canceled_at : null)),
+        trialEnd: stripeTime(sub.trial_end),
+        latest: stripeTime(sub.current_period_start),
+        items,
+        discounts,
+    };
+}
+
+// Recurring invoice lines as transaction lines for pivotTransactions
+function invoiceLines(invoice) {
+    const currency = (invoice.currency || '').toUpperCase() || null;
+    const customer = invoice.customer_name || invoice.customer_email || customerLabel(invoice.customer, invoice.id);
+    const invoiceDate = stripeTime(invoice.created || invoice.date);
+    const lines = (invoice.lines && invoice.lines.data) || [];
+    const lineDiscounts = lines.some(l => l.discount_amounts && l.discount_amounts.length);
+    const invoiceDiscount = (invoice.total_discount_amounts || []).reduce((s, d) => s + d.amount, 0);
+    const grossTotal = lines.reduce((s, l) => s + (l.amount || 0), 0);
+
+    return lines.filter(line => {
+        const recurring = line.type === 'subscription' || line.proration || (line.price && line.price.type === 'recurring');
+        return recurring && line.amount;
+    }).map(line => {
+        let net = line.amount;
+        if (lineDiscounts) {
+            net -= (line.discount_amounts || []).reduce((s, d) => s + d.amount, 0);
+        } else if (invoiceDiscount && grossTotal > 0) {
+            net -= invoiceDiscount * (line.amount / grossTotal);
+        }
+        const price = line.price || line.plan || {};
+        const period = line.period || {};
+        return {
+            customer,
+            amount: stripeAmount(net, currency),
+            invoiceDate,
+            periodStart: stripeTime(period.start),
+            // Stripe period ends are exclusive (the start of the next period)
+            periodEnd: period.end ? new Date(stripeTime(period.end).getTime() - 1000) : null,
+            product: price.product && typeof price.product === 'object' ? price.product.name : (price.nickname || price.product || null),
+            currency,
+        };
+    });
+}
+
+// ===== CSV =====
+
+// "Current Period Start (UTC)" -> "current_period_start"
+function csvKey(header) {
+    return String(header).toLowerCase().replace(/\(utc\)/g, '').trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function csvRecords(rows) {
+    const headerIdx = rows.findIndex(row => row.some(v => typeof v === 'string' && v.trim()));
+    if (headerIdx === -1) throw new Error('The file is empty.');
+    const keys = rows[headerIdx].map(csvKey);
+    const records = [];
+    for (let r = headerIdx + 1; r < rows.length; r++) {
+        const row = rows[r];
+        if (!row.some(v => v !== '' && v !== null && v !== undefined)) continue;
+        const rec = {};
+        keys.forEach((k, i) => { if (k) rec[k] = row[i] !== undefined ? row[i] : ''; });
+        records.push(rec);
+    }
+    return { keys, records };
+}
+
+function csvNumber(val) {
+    if (typeof val === 'number') return val;
+    const n = parseFloat(String(val || '').replace(/[^\d.\-]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+// Dashboard exports give amounts in major units (49.00, not 4900)
+function csvSubscription(rec) {
+    const currency = String(rec.currency || '').toUpperCase() || null;
+    const percentOff = csvNumber(rec.percent_off || rec.coupon_percent_off);
+    const amountOff = csvNumber(rec.amount_off || rec.coupon_amount_off);
+    return {
+        customer: rec.customer_name || rec.customer_email || rec.customer_id || rec.customer || rec.id,
+        currency,
+        status: String(rec.status || '').toLowerCase(),
+        start: stripeTime(rec.start || rec.start_date || rec.created),
+        end: stripeTime(rec.ended_at || rec.cancel_at || (String(rec.status).toLowerCase() === 'canceled' ? rec.canceled_at : null)),
+        trialEnd: stripeTime(rec.trial_end),
+        latest: stripeTime(rec.current_period_start),
+        items: [{
+            product: rec.product || rec.product_name || rec.plan || rec.price || null,
+            amount: csvNumber(rec.amount !== undefined ? rec.amount : rec.unit_amount) || 0,
+            quantity: csvNumber(rec.quantity) !== null ? csvNumber(rec.quantity) : 1,
+            interval: String(rec.interval || 'month').toLowerCase(),
+            intervalCount: csvNumber(rec.interval_count) || 1,
+        }],
+        discounts: percentOff || amountOff ? [{ percentOff: percentOff || 0, amountOff: amountOff || 0, start: null, end: stripeTime(rec.discount_end) }] : [],
+    };
+}
+
+function csvInvoiceLine(rec) {
+    const currency = String(rec.currency || '').toUpperCase() || null;
+    const amount = csvNumber(rec.amount !== undefined ? rec.amount : (rec.total !== undefined ? rec.total : rec.amount_due));
+    return {
+        customer: rec.customer_name || rec.customer_email || rec.customer_id || rec.customer,
+        amount: amount === null ? 0 : amount - (csvNumber(rec.discount_amount || rec.discount) || 0),
+        invoiceDate: stripeTime(rec.date || rec.created || rec.invoice_date),
+        periodStart: stripeTime(rec.period_start),
+        periodEnd: stripeTime(rec.period_end),
+        product: rec.product || rec.description || null,
+        currency,
+    };
+}
+
+// ===== MRR =====
+
+function subscriptionsToGrid(subs, asOf) {
+    let first = Infinity;
+    let last = -Infinity;
+    subs.forEach(s => {
+        if (!s.start) return;
+        first = Math.min(first, monthKey(s.start.getUTCFullYear(), s.start.getUTCMonth() + 1));
+        [s.start, s.end, s.latest].forEach(d => {
+            if (d) last = Math.max(last, monthKey(d.getUTCFullYear(), d.getUTCMonth() + 1));
+        });
+    });
+    if (asOf) last = monthKey(asOf.getUTCFullYear(), asOf.getUTCMonth() + 1);
+    if (first === Infinity || last < first) throw new Error('No subscriptions with a start date were found.');
+
+    const dates = [];
+    for (let k = first; k <= last; k++) dates.push({ year: Math.floor(k / 12), month: (k % 12) + 1 });
+
+    const byName = new Map();
+    subs.forEach(s => {
+        if (!s.start) return;
+        if (!byName.has(s.customer)) {
+            byName.set(s.customer, { name: s.customer, revenue: new Array(dates.length).fill(0), attributes: {}, currency: s.currency, products: {} });
+        }
+        const cust = byName.get(s.customer);
+        dates.forEach((d, i) => {
+            // Month-end snapshot: the first instant of the following month
+            const snapshot = Date.UTC(d.year, d.month, 1);
+            if (s.start.getTime() >= snapshot) return;
+            if (s.end && s.end.getTime() < snapshot) return;
+            if (s.trialEnd && s.trialEnd.getTime() >= snapshot) return;
+
+            let gross = 0;
+            const byProduct = s.items.map(item => {
+                const mrr = item.amount * item.quantity * monthlyFactor(item.interval, item.intervalCount);
+                gross += mrr;
+                return mrr;
+            });
+            let net = gross;
+            s.discounts.forEach(disc => {
+                if (disc.start && disc.start.getTime() >= snapshot) return;
+                if (disc.end && disc.end.getTime() < snapshot) return;
+                if (disc.percentOff) net *= 1 - disc.percentOff / 100;
+                if (disc.amountOff) {
+                    const item = s.items[0];
+                    net -= disc.amountOff * monthlyFactor(item && item.interval, item && item.intervalCount);
+                }
+            });
+            net = Math.max(0, net);
+
+            cust.revenue[i] += net;
+            s.items.forEach((item, j) => {
+                if (!item.product || gross === 0) return;
+                if (!cust.products[item.product]) cust.products[item.product] = new Array(dates.length).fill(0);
+                cust.products[item.product][i] += net * (byProduct[j] / gross);
+            });
+        });
+    });
+
+    const customers = Array.from(byName.values()).map(c => {
+        c.revenue = c.revenue.map(v => Math.round(v * 100) / 100);
+        return c;
+    }).filter(c => c.revenue.some(v => v > 0));
+    return { customers, dates };
+}
+
+/**
+ * Parse a Stripe export. `source` is the parsed JSON value, or CSV rows
+ * (array of arrays). options.asOf (a Date) sets the last month for
+ * subscription exports; by default it is the latest date in the file.
+ */
+function parseStripeExport(source, options) {
+    const asOf = options && options.asOf ? options.asOf : null;
+    let subs = [];
+    let lines = [];
+    let count = 0;
+    let skipped = 0;
+    let kind;
+
+    const isCsv = Array.isArray(source) && source.length > 0 && Array.isArray(source[0]);
+    if (isCsv) {
+        const { keys, records } = csvRecords(source);
+        kind = keys.includes('interval') || keys.includes('current_period_start') ? 'subscriptions' : 'invoices';
+        if (kind === 'invoices' && !keys.some(k => ['amount', 'total', 'amount_due'].includes(k))) {
+            throw new Error('Unrecognised Stripe CSV. Expected a subscriptions export (with an Interval column) or an invoices export (with an Amount or Total column).');
+        }
+        records.forEach(rec => {
+            const status = String(rec.status || '').toLowerCase();
+            if (kind === 'subscriptions') {
+                if (SKIPPED_SUBSCRIPTION_STATUSES.includes(status)) { skipped++; return; }
+                subs.push(csvSubscription(rec));
+            } else {
+                if (SKIPPED_INVOICE_STATUSES.includes(status)) { skipped++; return; }
+                const line = csvInvoiceLine(rec);
+                if (!line.customer || !line.amount || !(line.invoiceDate || line.periodStart)) { skipped++; return; }
+                lines.push(line);
+            }
+            count++;
+        });
+    } else {
+        const records = stripeRecords(source);
+        const objects = new Set(records.map(r => r.object));
+        kind = objects.has('invoice') && !objects.has('subscription') ? 'invoices' : 'subscriptions';
+        records.forEach(rec => {
+            if (kind === 'subscriptions') {
+                if (rec.object && rec.object !== 'subscription') { skipped++; return; }
+                if (SKIPPED_SUBSCRIPTION_STATUSES.includes(rec.status)) { skipped++; return; }
+                subs.push(normaliseSubscription(rec));
+            } else {
+                if (rec.object !== 'invoice' || SKIPPED_INVOICE_STATUSES.includes(rec.status)) { skipped++; return; }
+                lines = lines.concat(invoiceLines(rec).filter(l => l.amount && (l.invoiceDate || l.periodStart)));
+            }
+            count++;
+        });
+    }
+
+    if (count === 0) throw new Error(`No ${kind} found in the Stripe export.`);
+    const grid = kind === 'subscriptions' ? subscriptionsToGrid(subs, asOf) : pivotTransactions(lines);
+    return Object.assign(grid, { kind, count, skipped });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseStripeExport };
+}
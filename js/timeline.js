@@ -0,0 +1,127 @@
+/**
+ * MRR Calculator - Timeline Normalisation
+ *
+ * parseDate collapses every header to {year, month} and calculateMetrics
+ * assumes column m - 12 is the same month a year earlier, so the grid has to
+ * be one column per calendar month, in order, with none missing. This module
+ * reads the shape of a date header and maps its columns onto such a timeline.
+ *
+ * Input: dates - the header months in column order (locateGrid dates)
+ * Input: fixes - the data check fixes that reshape the header:
+ *   headerDuplicates - 'sum' adds up columns in the same month (weekly
+ *                      revenue), 'last' keeps the last one (weekly snapshots)
+ *   headerGaps       - true sorts the months and adds missing ones as blanks
+ *   periodic         - quarterly or annual columns become monthly: 'hold'
+ *                      repeats each value in every month of its period (the
+ *                      value is MRR), 'divide' splits it evenly (the value is
+ *                      revenue for the period)
+ *
+ * Output of timelinePlan: { dates, columns } where columns[i] lists the
+ *   { col, weight } source columns behind output month i (empty for an added
+ *   month). With no fixes the plan is the header as it is.
+ *
+ * A quarterly or annual column is read as the last month of its period, like
+ * the month-end dates of a monthly grid: Mar-24 (or "Q1 2024") covers Jan-Mar.
+ */
+
+// Months per period for headers that step by more than one month
+const TIMELINE_FREQUENCIES = {
+    monthly: { label: 'Monthly', step: 1 },
+    quarterly: { label: 'Quarterly', step: 3 },
+    annual: { label: 'Annual', step: 12 },
+};
+
+function timelineKey(d) {
+    return d.year * 12 + d.month - 1;
+}
+
+function timelineMonth(k) {
+    return { year: Math.floor(k / 12), month: (k % 12) + 1 };
+}
+
+/**
+ * Frequency of the header, as { key, label, step }: quarterly or annual when
+ * every step between distinct months is a whole number of periods and most
+ * are exactly one.
+ */
+function timelineFrequency(dates) {
+    const keys = Array.from(new Set(dates.map(timelineKey))).sort((a, b) => a - b);
+    const steps = keys.slice(1).map((k, i) => k - keys[i]);
+    const match = ['annual', 'quarterly'].find(f => {
+        const step = TIMELINE_FREQUENCIES[f].step;
+        return steps.length > 0 &&
+            steps.every(s => s % step === 0) &&
+            steps.filter(s => s === step).length * 2 > steps.length;
+    });
+    const key = match || 'monthly';
+    return Object.assign({ key }, TIMELINE_FREQUENCIES[key]);
+}
+
+function timelinePlan(dates, fixes) {
+    const fix = fixes || {};
+    const step = fix.periodic ? timelineFrequency(dates).step : 1;
+    if (!fix.headerDuplicates && !fix.headerGaps && step === 1) {
+        return { dates: dates.slice(), columns: dates.map((d, i) => [{ col: i, weight: 1 }]) };
+    }
+
+    // Columns of each month, in header order; merged into one source list when
+    // duplicates are fixed (a period conversion always merges them)
+    const byMonth = new Map();
+    dates.forEach((d, i) => {
+        const k = timelineKey(d);
+        if (!byMonth.has(k)) byMonth.set(k, []);
+        byMonth.get(k).push(i);
+    });
+    const merge = fix.headerDuplicates || (step > 1 ? 'sum' : null);
+    const sourcesOf = cols => {
+        if (merge === 'last') return [[{ col: cols[cols.length - 1], weight: 1 }]];
+        if (merge) return [cols.map(col => ({ col, weight: 1 }))];
+        return cols.map(col => [{ col, weight: 1 }]);
+    };
+
+    const out = { dates: [], columns: [] };
+    if (step > 1) {
+        // Every month of each period, from the first month of the first period
+        const keys = Array.from(byMonth.keys()).sort((a, b) => a - b);
+        const weight = fix.periodic === 'divide' ? 1 / step : 1;
+        for (let k = keys[0] - step + 1; k <= keys[keys.length - 1]; k++) {
+            const end = keys.find(e => e >= k && e - step < k);
+            const sources = end === undefined ? [] : sourcesOf(byMonth.get(end))[0];
+            out.dates.push(timelineMonth(k));
+            out.columns.push(sources.map(s => ({ col: s.col, weight: s.weight * weight })));
+        }
+        return out;
+    }
+
+    if (fix.headerGaps) {
+        // Calendar order from the first to the last month, blanks where none
+        const keys = Array.from(byMonth.keys()).sort((a, b) => a - b);
+        for (let k = keys[0]; k <= keys[keys.length - 1]; k++) {
+            const groups = byMonth.has(k) ? sourcesOf(byMonth.get(k)) : [[]];
+            groups.forEach(sources => {
+                out.dates.push(timelineMonth(k));
+                out.columns.push(sources);
+            });
+        }
+        return out;
+    }
+
+    // Duplicates merged where the month first appears; the order is kept
+    byMonth.forEach((cols, k) => {
+        out.dates.push(timelineMonth(k));
+        out.columns.push(sourcesOf(cols)[0]);
+    });
+    return out;
+}
+
+// One row of values on the plan's timeline; blank for months with no value
+function applyTimeline(plan, values, blank) {
+    return plan.columns.map(sources => {
+        const known = sources.filter(s => values[s.col] !== null && values[s.col] !== undefined);
+        return known.length === 0 ? blank : known.reduce((t, s) => t + values[s.col] * s.weight, 0);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMELINE_FREQUENCIES, timelineFrequency, timelinePlan, applyTimeline };
+}
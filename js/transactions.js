@@ -0,0 +1,223 @@
+/**
+ * MRR Calculator - Transaction Import
+ *
+ * Builds the customer x month MRR grid from long-format billing data:
+ * one row per invoice or subscription line item.
+ *
+ * Input: rows - array of arrays (sheet_to_json with header: 1), where the first
+ *   non-empty row holds column headers such as Customer, Invoice Date, Amount,
+ *   Service Start, Service End and optionally Product and Currency
+ *
+ * Output: { customers, dates } in the same shape parseFileData produces, where
+ *   invoices covering several months (annual, quarterly) are spread evenly
+ *   across their service period
+ */
+
+const DAY_MS = 86400000;
+const AVG_MONTH_DAYS = 365.25 / 12;
+
+// Column roles, matched in this order so "Service Period Start" is claimed as a
+// period start before the generic date pattern sees it
+const TRANSACTION_COLUMNS = [
+    { key: 'periodStart', pattern: /(period|service|term|coverage).*(start|from|begin)|^(start|from)\b/i },
+    { key: 'periodEnd', pattern: /(period|service|term|coverage).*(end|to|through|until)|^(end|to|through)\b/i },
+    { key: 'date', pattern: /date|issued|posted|created/i },
+    { key: 'customer', pattern: /customer|client|account|company/i },
+    { key: 'amount', pattern: /amount|total|revenue|value|net|price/i },
+    { key: 'product', pattern: /product|plan|sku|item|service/i },
+    { key: 'currency', pattern: /^(currency|ccy)$/i },
+];
+
+// Parse a cell into a UTC midnight Date, or null. SheetJS cellDates gives
+// Dates at local midnight, so they are read with local getters; strings are
+// read like parseDate (js/parser.js) reads them
+function parseDay(val) {
+    if (val instanceof Date && !isNaN(val.getTime())) {
+        return new Date(Date.UTC(val.getFullYear(), val.getMonth(), val.getDate()));
+    }
+    if (typeof val === 'number' && val > 365) {
+        // Excel serial date: days since 1899-12-30
+        const d = new Date(Date.UTC(1899, 11, 30) + Math.round(val) * DAY_MS);
+        return isNaN(d.getTime()) ? null : d;
+    }
+    if (typeof val === 'string' && val.trim()) {
+        // Date-only ISO strings and times with an offset are parsed as UTC,
+        // anything else ("3/1/2024", "Mar 1, 2024") as local time
+        const str = val.trim();
+        const d = new Date(str);
+        if (isNaN(d.getTime())) return null;
+        const day = /^\d{4}-\d{2}(-\d{2})?$|(z|[+-]\d{2}:?\d{2})$/i.test(str)
+            ? new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
+            : new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+        if (day.getUTCFullYear() > 1900) return day;
+    }
+    return null;
+}
+
+function parseAmount(val) {
+    if (typeof val === 'number') return val;
+    if (typeof val !== 'string') return NaN;
+    let str = val.trim().replace(/[,\s]/g, '').replace(/^[^\d\-(.]+/, '');
+    const negative = /^\(.*\)$/.test(str);
+    str = str.replace(/[()]/g, '');
+    const num = parseFloat(str);
+    return negative ? -num : num;
+}
+
+function detectTransactionColumns(header) {
+    const labels = header.map(h => (typeof h === 'string' ? h.trim() : ''));
+    const cols = {};
+    const taken = new Set();
+    TRANSACTION_COLUMNS.forEach(({ key, pattern }) => {
+        const matches = labels
+            .map((label, i) => ({ label, i }))
+            .filter(({ label, i }) => label && !taken.has(i) && pattern.test(label));
+        if (matches.length === 0) return;
+        // Prefer "Customer Name" over "Customer ID"
+        const pick = key === 'customer' ? (matches.find(m => /name/i.test(m.label)) || matches[0]) : matches[0];
+        cols[key] = pick.i;
+        taken.add(pick.i);
+    });
+    return cols;
+}
+
+// Number of whole months a service period covers, e.g. Jan 1 - Dec 31 is 12
+function monthsInPeriod(start, end) {
+    const days = (end.getTime() - start.getTime()) / DAY_MS + 1;
+    return Math.max(1, Math.round(days / AVG_MONTH_DAYS));
+}
+
+function monthKey(year, month) {
+    return year * 12 + (month - 1);
+}
+
+function parseTransactionRows(rows) {
+    const headerIdx = rows.findIndex(row => row.some(v => typeof v === 'string' && v.trim()));
+    if (headerIdx === -1) throw new Error('The file is empty.');
+
+    const cols = detectTransactionColumns(rows[headerIdx]);
+    if (cols.customer === undefined || cols.amount === undefined || (cols.date === undefined && cols.periodStart === undefined)) {
+        throw new Error('Could not find the transaction columns. Expected headers like Customer, Invoice Date, Amount, Service Start and Service End.');
+    }
+
+    const lines = [];
+    let skipped = 0;
+    for (let r = headerIdx + 1; r < rows.length; r++) {
+        const row = rows[r];
+        const customer = row[cols.customer] !== undefined ? String(row[cols.customer]).trim() : '';
+        const amount = parseAmount(row[cols.amount]);
+        const invoiceDate = cols.date !== undefined ? parseDay(row[cols.date]) : null;
+        const periodStart = cols.periodStart !== undefined ? parseDay(row[cols.periodStart]) : null;
+        let periodEnd = cols.periodEnd !== undefined ? parseDay(row[cols.periodEnd]) : null;
+
+        if (!customer || isNaN(amount) || amount === 0 || (!invoiceDate && !periodStart)) {
+            if (row.some(v => v !== '' && v !== null && v !== undefined && v !== 0)) skipped++;
+            continue;
+        }
+        if (periodStart && periodEnd && periodEnd < periodStart) periodEnd = null;
+
+        lines.push({
+            row: r,
+            customer,
+            amount,
+            invoiceDate,
+            periodStart,
+            periodEnd,
+            product: cols.product !== undefined && row[cols.product] ? String(row[cols.product]).trim() : null,
+            currency: cols.currency !== undefined && row[cols.currency] ? String(row[cols.currency]).trim().toUpperCase() : null,
+        });
+    }
+
+    if (lines.length === 0) throw new Error('No transaction rows with a customer, date and amount were found.');
+    return { lines, skipped, columns: cols };
+}
+
+// Split one line item into monthly amounts: evenly across its service period,
+// or entirely in the invoice month when there is no period
+function spreadLine(line) {
+    const start = line.periodStart || line.invoiceDate;
+    const numMonths = line.periodStart && line.periodEnd ? monthsInPeriod(line.periodStart, line.periodEnd) : 1;
+    const first = monthKey(start.getUTCFullYear(), start.getUTCMonth() + 1);
+    const parts = [];
+    for (let i = 0; i < numMonths; i++) {
+        parts.push({ key: first + i, amount: line.amount / numMonths });
+    }
+    return parts;
+}
+
+// Scale non-negative parts to add up to a total, to the cent, with the
+// rounding left over on the largest part
+function allocateMRR(total, parts) {
+    const sum = parts.reduce((t, v) => t + v, 0);
+    if (sum === 0 || Math.abs(sum - total) < 0.005) return parts;
+    const scaled = parts.map(v => Math.round(v * total / sum * 100) / 100);
+    const largest = scaled.indexOf(Math.max(...scaled));
+    scaled[largest] = Math.round((scaled[largest] + total - scaled.reduce((t, v) => t + v, 0)) * 100) / 100;
+    return scaled;
+}
+
+function pivotTransactions(lines) {
+    let minKey = Infinity, maxKey = -Infinity;
+    const spread = lines.map(line => {
+        const parts = spreadLine(line);
+        parts.forEach(p => {
+            minKey = Math.min(minKey, p.key);
+            maxKey = Math.max(maxKey, p.key);
+        });
+        return { line, parts };
+    });
+
+    const dates = [];
+    for (let k = minKey; k <= maxKey; k++) {
+        dates.push({ year: Math.floor(k / 12), month: (k % 12) + 1 });
+    }
+
+    // One customer per name and billing currency, as mergeDuplicateCustomers
+    // (js/parser.js) keys them, so amounts in different currencies never mix
+    const byName = new Map();
+    spread.forEach(({ line, parts }) => {
+        const key = line.customer + '|' + (line.currency || '');
+        if (!byName.has(key)) {
+            byName.set(key, {
+                name: line.customer,
+                revenue: new Array(dates.length).fill(0),
+                attributes: {},
+                currency: line.currency,
+                products: {},
+            });
+        }
+        const cust = byName.get(key);
+        const product = line.product || null;
+        if (product && !cust.products[product]) cust.products[product] = new Array(dates.length).fill(0);
+        parts.forEach(p => {
+            cust.revenue[p.key - minKey] += p.amount;
+            if (product) cust.products[product][p.key - minKey] += p.amount;
+        });
+    });
+
+    // Credit notes can push a month below zero; MRR is floored at 0 like the grid
+    // import. A customer's total is floored on its netted sum, so a credit on one
+    // product (or on a line without one) still reduces it, and the product series
+    // are scaled to add up to that total for the product bridges
+    const toMRR = v => Math.max(0, Math.round(v * 100) / 100);
+    const customers = Array.from(byName.values()).map(c => {
+        const products = Object.keys(c.products);
+        const split = products.map(() => []);
+        c.revenue = c.revenue.map((v, m) => {
+            const total = toMRR(v);
+            if (products.length === 0) return total;
+            const other = products.reduce((t, p) => t - c.products[p][m], v);
+            const parts = allocateMRR(total, products.map(p => toMRR(c.products[p][m])).concat(toMRR(other)));
+            products.forEach((p, i) => { split[i][m] = parts[i]; });
+            return total;
+        });
+        products.forEach((p, i) => { c.products[p] = split[i]; });
+        return c;
+    }).filter(c => c.revenue.some(v => v > 0));
+
+    return { customers, dates };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseTransactionRows, pivotTransactions, monthsInPeriod, monthKey };
+}
@@ -0,0 +1,217 @@
+/**
+ * MRR Calculator - Data Validation
+ *
+ * Checks an uploaded MRR grid before any metrics are calculated and lists
+ * everything the parser would otherwise change or drop silently.
+ *
+ * Input: rows, layout - the same rows and manual layout parseGridRows receives
+ *
+ * Output: array of { type, title, description, fix, ignore, items } for each
+ *   check that found something, where items are { ref, message } with an
+ *   A1-style cell reference (or a row reference for whole-row issues)
+ *
+ * fix is the label of the parseGridRows correction for that type (null when
+ * the only options are to accept the default handling or abort), and
+ * fixOption the value to pass as that type's parseGridRows fixes entry.
+ * alternatives lists any other corrections as further { fix, fixOption }.
+ */
+
+// Node: pull in the helpers the browser loads as globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { locateGrid, rowName, parseNumberText } = require('./parser.js');
+    var { formatDate } = require('./format.js');
+    var { timelineFrequency } = require('./timeline.js');
+}
+
+// Month-over-month jump treated as suspicious
+const SPIKE_RATIO = 10;
+
+const VALIDATION_CHECKS = {
+    headerDuplicates: {
+        title: 'Duplicate months in the header',
+        description: 'The same month appears in more than one date column, as with weekly or mid-month headers. Each column is still treated as its own month.',
+        fix: 'Add up the columns in each month',
+        fixOption: 'sum',
+        alternatives: [{ fix: 'Keep the last column in each month', fixOption: 'last' }],
+        ignore: 'Keep every column',
+    },
+    headerGaps: {
+        title: 'Missing or out-of-order months',
+        description: 'The date header skips months or goes backwards, so month-over-month and TTM metrics compare the wrong periods.',
+        fix: 'Sort the months and add missing ones as zero',
+        fixOption: true,
+        ignore: 'Use the columns as they are',
+    },
+    periodic: {
+        title: 'Quarterly or annual columns',
+        description: 'Each date column covers several months, but every metric is monthly (TTM compares a column with the one 12 columns earlier). Each column is read as the last month of its period.',
+        fix: 'Repeat each value in every month of its period (values are MRR)',
+        fixOption: 'hold',
+        alternatives: [{ fix: 'Divide each value evenly across its months (values are period revenue)', fixOption: 'divide' }],
+        ignore: 'Treat each column as one month',
+    },
+    duplicates: {
+        title: 'Duplicate customer names',
+        description: 'Several rows share a customer name. Separate rows are counted as separate customers.',
+        fix: 'Merge rows into one customer',
+        fixOption: true,
+        ignore: 'Keep as separate customers',
+    },
+    negatives: {
+        title: 'Negative values (credits / refunds)',
+        description: 'Negative MRR is clamped to 0 by default.',
+        fix: 'Net against earlier months',
+        fixOption: true,
+        ignore: 'Clamp to 0',
+    },
+    formatted: {
+        title: 'Numbers stored as text',
+        description: 'Cells such as "$1,200" or "(300)" are text, and are read as 0 or truncated (e.g. "1,200" as 1).',
+        fix: 'Read as numbers',
+        fixOption: true,
+        ignore: 'Read as-is',
+    },
+    text: {
+        title: 'Text in revenue cells',
+        description: 'Cells with words (e.g. "N/A", "churned") are read as 0.',
+        fix: null,
+        ignore: 'Read as 0',
+    },
+    nonNumeric: {
+        title: 'Non-numeric cells',
+        description: 'Dates, TRUE/FALSE and error values in revenue cells are read as 0.',
+        fix: null,
+        ignore: 'Read as 0',
+    },
+    spikes: {
+        title: `Suspicious spikes (>${SPIKE_RATIO}x month-over-month)`,
+        description: 'A month more than ten times the previous one is often a typo (an extra zero or an annual amount in a monthly grid).',
+        fix: 'Use the previous month\'s value',
+        fixOption: SPIKE_RATIO,
+        ignore: 'Keep the values',
+    },
+    unnamed: {
+        title: 'Rows without a customer name',
+        description: 'These rows have revenue but no name and are given generated names (Customer 1, Customer 2, ...).',
+        fix: null,
+        ignore: 'Use generated names',
+    },
+    noRevenue: {
+        title: 'Rows without revenue',
+        description: 'Named rows with no positive revenue in any month are left out.',
+        fix: null,
+        ignore: 'Leave out',
+    },
+};
+
+// Zero-based column to its letter, e.g. 2 -> C, 27 -> AB
+function columnLetter(c) {
+    let col = '';
+    for (let n = c + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        col = String.fromCharCode(65 + ((n - 1) % 26)) + col;
+    }
+    return col;
+}
+
+// Zero-based row/column to an A1 reference, e.g. (4, 2) -> C5
+function cellRef(r, c) {
+    return columnLetter(c) + (r + 1);
+}
+
+function validateGridRows(json, layout) {
+    const grid = locateGrid(json, layout);
+    const { headerRowIdx, dates, dataStartCol } = grid;
+    const found = {};
+    const add = (type, ref, message) => {
+        (found[type] = found[type] || []).push({ ref, message });
+    };
+
+    // Header: each column should be the month (or quarter or year) after the previous one
+    const key = d => d.year * 12 + d.month - 1;
+    const frequency = timelineFrequency(dates);
+    const step = frequency.step;
+    if (step > 1) {
+        const span = `${cellRef(headerRowIdx, dataStartCol)}:${cellRef(headerRowIdx, dataStartCol + dates.length - 1)}`;
+        add('periodic', span, `${frequency.label} columns from ${formatDate(dates[0])} to ${formatDate(dates[dates.length - 1])}`);
+    }
+    const unit = step === 12 ? 'year' : step === 3 ? 'quarter' : 'month';
+    const seen = new Map();
+    dates.forEach((d, i) => {
+        const ref = cellRef(headerRowIdx, dataStartCol + i);
+        if (seen.has(key(d))) {
+            add('headerDuplicates', ref, `${formatDate(d)} also appears in ${seen.get(key(d))}`);
+        } else {
+            seen.set(key(d), ref);
+        }
+        if (i === 0) return;
+        const missing = (key(d) - key(dates[i - 1])) / step - 1;
+        if (missing > 0) add('headerGaps', ref, `${missing} ${unit}${missing > 1 ? 's' : ''} missing before ${formatDate(d)}`);
+        else if (missing < -1) add('headerGaps', ref, `${formatDate(d)} comes after ${formatDate(dates[i - 1])}`);
+    });
+
+    const firstRow = new Map();
+    for (let r = headerRowIdx + 1; r < json.length; r++) {
+        const row = json[r];
+        const name = rowName(row, grid);
+        const label = name || `Row ${r + 1}`;
+
+        const values = [];
+        for (let i = 0; i < dates.length; i++) {
+            const c = dataStartCol + i;
+            const cell = row[c];
+            const ref = cellRef(r, c);
+            let val = 0;
+            if (typeof cell === 'number') {
+                val = cell;
+            } else if (typeof cell === 'string' && cell.trim()) {
+                const parsed = parseNumberText(cell);
+                if (parsed === null) {
+                    add('text', ref, `${label}, ${formatDate(dates[i])}: "${cell.trim()}"`);
+                } else {
+                    val = parsed;
+                    if ((parseFloat(cell) || 0) !== parsed) {
+                        add('formatted', ref, `${label}, ${formatDate(dates[i])}: "${cell.trim()}" would be read as ${parseFloat(cell) || 0}`);
+                    }
+                }
+            } else if (cell !== undefined && cell !== null && cell !== '' && typeof cell !== 'string') {
+                add('nonNumeric', ref, `${label}, ${formatDate(dates[i])}: ${cell instanceof Date ? 'a date' : String(cell)}`);
+            }
+            if (val < 0) add('negatives', ref, `${label}, ${formatDate(dates[i])}: ${val.toLocaleString('en-US')}`);
+            if (i > 0 && values[i - 1] > 0 && val > values[i - 1] * SPIKE_RATIO) {
+                const ratio = Math.round(val / values[i - 1]);
+                add('spikes', ref, `${label}, ${formatDate(dates[i])}: ${val.toLocaleString('en-US')} after ${values[i - 1].toLocaleString('en-US')} (${ratio}x)`);
+            }
+            values.push(val);
+        }
+
+        const hasRevenue = values.some(v => v > 0);
+        if (!hasRevenue) {
+            if (name) add('noRevenue', `Row ${r + 1}`, name);
+            continue;
+        }
+        if (!name) {
+            add('unnamed', `Row ${r + 1}`, 'No customer name');
+            continue;
+        }
+        // With a Product column a customer has one row per product; rows in
+        // different billing currencies are separate customers, as
+        // mergeDuplicateCustomers (js/parser.js) keeps them
+        const product = grid.productCol !== -1 ? String(row[grid.productCol] || '').trim() : '';
+        const currency = grid.currencyCol !== -1 && typeof row[grid.currencyCol] === 'string' ? row[grid.currencyCol].trim().toUpperCase() : '';
+        const nameKey = name.toLowerCase() + '|' + currency + (product ? '|' + product.toLowerCase() : '');
+        if (firstRow.has(nameKey)) {
+            const what = [name, product, currency].filter(Boolean).join(', ');
+            add('duplicates', `Row ${r + 1}`, `${what} (first seen in row ${firstRow.get(nameKey)})`);
+        } else {
+            firstRow.set(nameKey, r + 1);
+        }
+    }
+
+    return Object.keys(VALIDATION_CHECKS)
+        .filter(type => found[type])
+        .map(type => Object.assign({ type, items: found[type] }, VALIDATION_CHECKS[type]));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPIKE_RATIO, VALIDATION_CHECKS, columnLetter, validateGridRows };
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * MRR Calculator - Stripe Fixture Check
+ *
+ * Reads each export in fixtures/stripe the way the CLI reads --layout stripe
+ * inputs and compares the month-end MRR per customer with the tables in
+ * fixtures/stripe/README.md. Update both together.
+ *
+ * Usage: node test/stripe-fixtures.js
+ * Requires the xlsx package (npm install xlsx), like the CLI.
+ * Exits with status 1 if any fixture differs.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { parseStripeExport } = require('../js/stripe.js');
+const { formatDate } = require('../js/format.js');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'stripe');
+
+const FIRST_HALF = ['Jan-24', 'Feb-24', 'Mar-24', 'Apr-24', 'May-24', 'Jun-24'];
+const SECOND_HALF = ['Jul-24', 'Aug-24', 'Sep-24', 'Oct-24', 'Nov-24', 'Dec-24'];
+
+const SUBSCRIPTIONS = {
+    'Acme Corp': [1000, 1000, 1000, 1300, 1300, 1300],
+    'Beta LLC': [0, 750, 750, 750, 750, 750],
+    'Gamma Inc': [0, 0, 150, 150, 150, 300],
+    'Delta Co': [0, 200, 200, 0, 0, 0],
+    'Epsilon GmbH': [0, 0, 0, 0, 0, 100],
+    'Kappa KK': [10000, 10000, 10000, 10000, 10000, 10000],
+};
+
+// Expected { kind, months, skipped, customers } for each fixture
+const EXPECTED = {
+    'subscriptions.json': {
+        kind: 'subscriptions',
+        months: FIRST_HALF,
+        skipped: 1,
+        customers: SUBSCRIPTIONS,
+    },
+    'subscriptions.csv': {
+        kind: 'subscriptions',
+        months: FIRST_HALF,
+        skipped: 1,
+        customers: {
+            'Acme Corp': SUBSCRIPTIONS['Acme Corp'],
+            'Beta LLC': SUBSCRIPTIONS['Beta LLC'],
+            'Delta Co': SUBSCRIPTIONS['Delta Co'],
+            'Epsilon GmbH': SUBSCRIPTIONS['Epsilon GmbH'],
+        },
+    },
+    'invoices.json': {
+        kind: 'invoices',
+        months: FIRST_HALF.concat(SECOND_HALF),
+        skipped: 1,
+        customers: {
+            'Acme Corp': [1000, 1000, 1000, 1000, 1000, 1000, 2000, 2000, 2000, 2000, 2000, 2000],
+            'Beta LLC': [400, 400, 400, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        },
+    },
+};
+
+// As bin/mrr-calc.js parseInput: JSON as parsed, CSV as raw rows
+function readFixture(file) {
+    if (path.extname(file) === '.json') return JSON.parse(fs.readFileSync(file, 'utf8'));
+    const workbook = XLSX.read(fs.readFileSync(file, 'utf8'), { type: 'string', raw: true });
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+}
+
+let failed = 0;
+Object.keys(EXPECTED).forEach(name => {
+    const expected = EXPECTED[name];
+    try {
+        const result = parseStripeExport(readFixture(path.join(FIXTURES, name)));
+        const customers = {};
+        result.customers.forEach(c => { customers[c.name] = c.revenue; });
+        assert.deepStrictEqual(
+            { kind: result.kind, months: result.dates.map(formatDate), skipped: result.skipped, customers },
+            expected
+        );
+        console.log(`✓ ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`✗ ${name}\n${err.message}`);
+    }
+});
+process.exitCode = failed > 0 ? 1 : 0;
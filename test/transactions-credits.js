@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * MRR Calculator - Transaction Credit Check
+ *
+ * Pivots invoice lines that include credit notes and checks that a credit
+ * reduces the customer's MRR whether it is booked against a product, against
+ * another product or without one, and that the product series still add up
+ * to the customer's total.
+ *
+ * Usage: node test/transactions-credits.js
+ * Exits with status 1 if any case differs.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const { pivotTransactions } = require('../js/transactions.js');
+
+// One invoice line in January 2024, with no service period
+function line(customer, amount, product) {
+    return {
+        customer,
+        amount,
+        invoiceDate: new Date(Date.UTC(2024, 0, 15)),
+        periodStart: null,
+        periodEnd: null,
+        product: product || null,
+        currency: null,
+    };
+}
+
+// Expected { revenue, products } per customer; fully credited customers are dropped
+const CASES = {
+    'credit without a product': {
+        lines: [line('Acme Corp', 100, 'Core'), line('Acme Corp', -30)],
+        customers: { 'Acme Corp': { revenue: [70], products: { Core: [70] } } },
+    },
+    'credit on the same product': {
+        lines: [line('Acme Corp', 100, 'Core'), line('Acme Corp', -30, 'Core')],
+        customers: { 'Acme Corp': { revenue: [70], products: { Core: [70] } } },
+    },
+    'credit larger than another product': {
+        lines: [line('Beta LLC', 100, 'Core'), line('Beta LLC', 20, 'Add-on'), line('Beta LLC', -50, 'Add-on')],
+        customers: { 'Beta LLC': { revenue: [70], products: { Core: [70], 'Add-on': [0] } } },
+    },
+    'credit larger than the invoice': {
+        lines: [line('Gamma Inc', 50, 'Core'), line('Gamma Inc', -80), line('Delta Co', 40)],
+        customers: { 'Delta Co': { revenue: [40], products: {} } },
+    },
+    'products that round to a cent off the total': {
+        lines: [line('Epsilon GmbH', 100, 'Core'), line('Epsilon GmbH', 100 / 3, 'Seats'), line('Epsilon GmbH', 100 / 3, 'Support')],
+        customers: { 'Epsilon GmbH': { revenue: [166.67], products: { Core: [100.01], Seats: [33.33], Support: [33.33] } } },
+    },
+};
+
+let failed = 0;
+Object.keys(CASES).forEach(name => {
+    const { lines, customers: expected } = CASES[name];
+    try {
+        const customers = {};
+        pivotTransactions(lines).customers.forEach(c => {
+            customers[c.name] = { revenue: c.revenue, products: c.products };
+            c.revenue.forEach((total, m) => {
+                const sum = Object.keys(c.products).reduce((t, p) => t + c.products[p][m], 0);
+                if (Object.keys(c.products).length > 0) assert.strictEqual(Math.round(sum * 100) / 100, total, `${c.name}: products add up to the total`);
+            });
+        });
+        assert.deepStrictEqual(customers, expected);
+        console.log(`✓ ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`✗ ${name}\n${err.message}`);
+    }
+});
+process.exitCode = failed > 0 ? 1 : 0;
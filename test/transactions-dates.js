@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * MRR Calculator - Transaction Date Check
+ *
+ * Reads the same invoice lines in timezones either side of UTC and checks
+ * that every line lands in the same month. The lines go through a workbook
+ * read with cellDates, as the page and the CLI read uploads, so Excel dates
+ * arrive as SheetJS Dates and text dates as strings.
+ *
+ * Usage: node test/transactions-dates.js
+ * Requires the xlsx package (npm install xlsx), like the CLI.
+ * Exits with status 1 if any timezone disagrees.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const XLSX = require('xlsx');
+
+const { parseTransactionRows, pivotTransactions } = require('../js/transactions.js');
+const { formatDate } = require('../js/format.js');
+
+const TIMEZONES = ['UTC', 'Asia/Tokyo', 'Pacific/Kiritimati', 'Europe/London', 'America/New_York', 'Pacific/Pago_Pago'];
+
+const EXPECTED_MONTHS = ['Jan-24', 'Feb-24', 'Mar-24'];
+const EXPECTED = {
+    'Acme Corp': [100, 0, 150],
+    'Beta LLC': [0, 0, 50],
+    'Gamma Inc': [0, 70, 0],
+    'Delta Co': [0, 0, 40],
+    'Epsilon GmbH': [30, 30, 30],
+};
+
+// An Excel date cell: the serial day number with a date format, as Excel
+// saves it (SheetJS turns JS Dates into serials in local time, which is off
+// by seconds in zones whose offset has changed since 1899)
+function excelDate(year, month, day) {
+    return { t: 'n', v: (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000, z: 'm/d/yyyy' };
+}
+
+// Excel dates on the first and last day of a month, where a one-day shift
+// changes the month, and text dates in ISO and US formats
+function sampleRows() {
+    return [
+        ['Customer', 'Invoice Date', 'Amount', 'Service Start', 'Service End'],
+        ['Acme Corp', excelDate(2024, 1, 1), 100, '', ''],
+        ['Acme Corp', excelDate(2024, 3, 1), 150, '', ''],
+        ['Beta LLC', '2024-03-01', 50, '', ''],
+        ['Gamma Inc', '2/29/2024', 70, '', ''],
+        ['Delta Co', 'Mar 31, 2024', 40, '', ''],
+        ['Epsilon GmbH', excelDate(2024, 1, 1), 90, excelDate(2024, 1, 1), excelDate(2024, 3, 31)],
+    ];
+}
+
+function checkTimezone() {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sampleRows()), 'Invoices');
+    const bytes = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const sheet = XLSX.read(bytes, { type: 'buffer', cellDates: true }).Sheets.Invoices;
+    const { lines } = parseTransactionRows(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }));
+    const { customers, dates } = pivotTransactions(lines);
+
+    assert.deepStrictEqual(dates.map(formatDate), EXPECTED_MONTHS);
+    const actual = {};
+    customers.forEach(c => { actual[c.name] = c.revenue; });
+    assert.deepStrictEqual(actual, EXPECTED);
+}
+
+// Each timezone runs in its own process, since SheetJS and Date read the
+// zone when they start
+if (process.env.MRR_CHECK_TZ) {
+    checkTimezone();
+} else {
+    let failed = 0;
+    TIMEZONES.forEach(tz => {
+        const run = spawnSync(process.execPath, [__filename], {
+            env: Object.assign({}, process.env, { TZ: tz, MRR_CHECK_TZ: '1' }),
+            encoding: 'utf8',
+        });
+        if (run.status === 0) {
+            console.log(`✓ ${tz}`);
+        } else {
+            failed++;
+            console.log(`✗ ${tz}\n${run.stderr.trim()}`);
+        }
+    });
+    process.exitCode = failed > 0 ? 1 : 0;
+}